@@ -0,0 +1,539 @@
+/**
+ * Amazon Book Data Extractor
+ *
+ * Extracts book details from an Amazon product page. The same extractor is
+ * used for statically fetched HTML and for pages rendered in the browser,
+ * so both fetch strategies produce identical data.
+ */
+
+const { addContributor, normalizeContributorRole, parseContributorList, getPrimaryAuthors } = require('./contributors');
+
+// Swatch prices that only advertise a free trial
+const TRIAL_PRICE_PATTERN = /probemonat|probeabo|trial|essai|prova|prueba|proefperiode/i;
+
+// Series widgets of the current and older product page layouts
+const SERIES_SELECTORS = [
+  '#rpi-attribute-book_details-series .rpi-attribute-value a',
+  '#seriesBulletWidget_feature_div a',
+  '#seriesTitle_feature_div a'
+];
+
+/**
+ * Extracts book data from the parsed HTML
+ * @param {CheerioStatic} $ - The Cheerio instance
+ * @param {string} asin - The book ASIN
+ * @returns {Object} - The extracted book data
+ */
+function extractBookData($, asin) {
+  // Initialize book data object
+  const bookData = {
+    asin: asin,
+    title: '',
+    authors: [],
+    contributors: [],
+    series: '',
+    seriesNumber: null,
+    seriesUrl: '',
+    description: '',
+    isbn: '',
+    isbn13: '',
+    publicationDate: '',
+    publisher: '',
+    pageCount: '',
+    coverUrl: '',
+    format: '',
+    duration: '',
+    abridged: '',
+    discCount: '',
+    fileSize: '',
+    xRay: '',
+    wordWise: '',
+    textToSpeech: '',
+    enhancedTypesetting: '',
+    price: '',
+    offers: [],
+    availability: '',
+    categories: [],
+    language: ''
+  };
+
+  // Extract title
+  bookData.title = $('#productTitle').text().trim();
+  if (!bookData.title) {
+    bookData.title = $('.kindle-title').text().trim();
+  }
+
+  // Extract contributors; the byline marks each name with its roles, e.g. "(Übersetzer)"
+  bookData.contributors = extractContributors($);
+  bookData.authors = getPrimaryAuthors(bookData.contributors);
+
+  // Extract the series widget text ("Buch 3 von 7: Serie"); normalizing splits it into name and number
+  const seriesLink = $(SERIES_SELECTORS.join(', ')).filter((i, el) => $(el).text().trim()).first();
+  if (seriesLink.length) {
+    bookData.series = seriesLink.text().replace(/\s+/g, ' ').trim();
+    bookData.seriesUrl = seriesLink.attr('href') || '';
+  }
+
+  // Extract description
+  bookData.description = extractDescription($);
+
+  // Extract cover image URL
+  const coverImg = $('#imgBlkFront, #ebooksImgBlkFront, #main-image');
+  if (coverImg.length) {
+    bookData.coverUrl = coverImg.attr('src') || coverImg.attr('data-a-dynamic-image');
+    
+    // Static HTML often carries an inline data: placeholder until the image is loaded
+    if (bookData.coverUrl && bookData.coverUrl.startsWith('data:')) {
+      bookData.coverUrl = coverImg.attr('data-a-dynamic-image') || '';
+    }
+    
+    // If data-a-dynamic-image is a JSON string, parse it and get the first URL
+    if (bookData.coverUrl && bookData.coverUrl.startsWith('{')) {
+      try {
+        const imageData = JSON.parse(bookData.coverUrl);
+        bookData.coverUrl = Object.keys(imageData)[0];
+      } catch (e) {
+        console.error('Error parsing image data:', e);
+      }
+    }
+  }
+
+  // If we still don't have a valid cover URL, try additional selectors
+  if (!bookData.coverUrl || bookData.coverUrl.includes('transparent-pixel')) {
+    // Try additional image selectors
+    const additionalSelectors = [
+      '#landingImage',
+      '#imgBlkFront',
+      '#ebooksImgBlkFront',
+      '#igImage',
+      '.a-dynamic-image',
+      '.frontImage',
+      '#main-image'
+    ];
+
+    for (const selector of additionalSelectors) {
+      const img = $(selector);
+      if (img.length) {
+        // Try various attributes where image URL might be stored
+        const imgUrl = img.attr('src') || 
+                       img.attr('data-a-dynamic-image') || 
+                       img.attr('data-old-hires') || 
+                       img.attr('data-srcset') ||
+                       img.attr('srcset');
+        
+        if (imgUrl && imgUrl !== bookData.coverUrl && !imgUrl.startsWith('data:')) {
+          // If it's a data-a-dynamic-image JSON string
+          if (imgUrl.startsWith('{')) {
+            try {
+              const imageData = JSON.parse(imgUrl);
+              // Get the highest resolution image from the JSON
+              const urls = Object.keys(imageData);
+              if (urls.length > 0) {
+                // Sort by resolution and get the highest
+                urls.sort((a, b) => {
+                  const aRes = imageData[a];
+                  const bRes = imageData[b];
+                  return bRes[0] * bRes[1] - aRes[0] * aRes[1]; // Multiply width x height for area
+                });
+                bookData.coverUrl = urls[0];
+                break;
+              }
+            } catch (e) {
+              console.error('Error parsing image JSON:', e);
+            }
+          } else if (imgUrl.includes(',')) {
+            // Handle srcset strings
+            const srcSet = imgUrl.split(',');
+            if (srcSet.length > 0) {
+              // Try to get the highest resolution
+              const highestRes = srcSet[srcSet.length - 1].trim().split(' ')[0];
+              bookData.coverUrl = highestRes || srcSet[0].trim().split(' ')[0];
+              break;
+            }
+          } else {
+            bookData.coverUrl = imgUrl;
+            break;
+          }
+        }
+      }
+    }
+  }
+  
+  // If we still don't have an image, try the ASIN-based URL as final fallback
+  if (!bookData.coverUrl || bookData.coverUrl.includes('transparent-pixel')) {
+    // Generate Amazon image URL from ASIN
+    bookData.coverUrl = `https://m.media-amazon.com/images/P/${asin}.jpg`;
+  }
+
+  // Extract the format label ("Taschenbuch – 15. März 2021", "Kindle Ausgabe")
+  const bindingText = $('#productBinding, #productSubtitle').first().text().replace(/\s+/g, ' ').trim();
+  if (bindingText) {
+    bookData.format = bindingText.split(/\s[–-]\s/)[0].trim();
+  }
+
+  // Extract the offers of all formats from the format swatches
+  bookData.offers = extractOffers($);
+  bookData.availability = $('#availability').first().text().replace(/\s+/g, ' ').trim();
+
+  // The buy box price belongs to this page's format; pages without swatches only have that one
+  const priceElement = $('.kindle-price .a-color-price, #price, .a-price .a-offscreen');
+  if (priceElement.length) {
+    bookData.price = priceElement.first().text().trim();
+  }
+
+  // Extract book details from detail bullets
+  extractFromDetailBullets($, bookData);
+  
+  // If detail bullets didn't have all info, try the book details section
+  extractFromBookDetails($, bookData);
+  
+  // If we still don't have all info, try the technical details section
+  extractFromTechnicalDetails($, bookData);
+
+  // Extract categories from the breadcrumb navigation
+  $('#wayfinding-breadcrumbs_feature_div li').each((i, el) => {
+    const category = $(el).text().trim();
+    if (category && !category.includes('›') && !bookData.categories.includes(category)) {
+      bookData.categories.push(category);
+    }
+  });
+
+  // Audible pages name the format only in the title or breadcrumb
+  if (!bookData.format && ($('#productTitle').text().toLowerCase().includes('hörbuch') ||
+      $('.a-breadcrumb').text().toLowerCase().includes('hörbuch'))) {
+    bookData.format = 'Hörbuch';
+  }
+
+  return bookData;
+}
+
+/**
+ * Extracts the book description
+ * @param {CheerioStatic} $ - The Cheerio instance
+ * @returns {string} - The book description
+ */
+function extractDescription($) {
+  // Try different selectors for description
+  const descriptionSelectors = [
+    '#bookDescription_feature_div .a-expander-content',
+    '#bookDescription_feature_div noscript',
+    '#bookDescription_feature_div',
+    '#productDescription',
+    '#feature-bullets',
+    '.book-description',
+    '#editorialReviews',
+    '#aboutEbooksSection'
+  ];
+  
+  for (const selector of descriptionSelectors) {
+    const element = $(selector);
+    if (element.length && element.text().trim()) {
+      return element.text().trim();
+    }
+  }
+  
+  return '';
+}
+
+// Detail labels of every supported marketplace (de/at, com/co.uk, fr, it, es, nl), lower case
+const DETAIL_LABELS = {
+  isbn: ['isbn-10', 'isbn10'],
+  isbn13: ['isbn-13', 'isbn13'],
+  publisher: ['herausgeber', 'verlag', 'publisher', 'éditeur', 'editeur', 'editore', 'editorial', 'uitgever'],
+  publicationDate: [
+    'erscheinungstermin',
+    'erscheinungsdatum',
+    'publication date',
+    'date de publication',
+    'data di pubblicazione',
+    'fecha de publicación',
+    'publicatiedatum'
+  ],
+  language: ['sprache', 'language', 'langue', 'lingua', 'idioma', 'taal'],
+  pageCount: [
+    'seitenzahl',
+    'print length',
+    'page numbers',
+    'nombre de pages',
+    'longueur à l\'impression',
+    'lunghezza stampa',
+    'numero di pagine',
+    'longitud de impresión',
+    'número de páginas',
+    'printlengte',
+    'aantal pagina\'s'
+  ],
+  duration: [
+    'spieldauer',
+    'hörbuch-länge',
+    'hörbuchlänge',
+    'listening length',
+    'running time',
+    'durée',
+    'durata',
+    'duración',
+    'speelduur',
+    'luisterduur'
+  ],
+  abridged: ['version', 'versione', 'versión', 'versie'],
+  discCount: [
+    'anzahl der discs',
+    'anzahl discs',
+    'number of discs',
+    'nombre de disques',
+    'numero di dischi',
+    'número de discos',
+    'aantal schijven'
+  ],
+  fileSize: ['dateigröße', 'file size', 'taille du fichier', 'dimensioni file', 'tamaño del archivo', 'bestandsgrootte'],
+  // Kindle features
+  xRay: ['x-ray'],
+  wordWise: ['word wise'],
+  textToSpeech: [
+    'text-to-speech',
+    'vorlesefunktion',
+    'synthèse vocale',
+    'da testo a voce',
+    'texto a voz',
+    'tekst-naar-spraak'
+  ],
+  enhancedTypesetting: [
+    'verbesserter schriftsatz',
+    'enhanced typesetting',
+    'composition améliorée',
+    'formattazione avanzata',
+    'tipografía mejorada',
+    'verbeterde typografie'
+  ],
+  narrator: [
+    'sprecher',
+    'gesprochen von',
+    'erzähler',
+    'narrator',
+    'narrated by',
+    'narrateur',
+    'lu par',
+    'narratore',
+    'narrador',
+    'verteller'
+  ]
+};
+
+// The detail labels as patterns that match whole words only, so "version" does not match inside another word
+const DETAIL_LABEL_PATTERNS = Object.entries(DETAIL_LABELS).map(([field, labels]) => ({
+  field,
+  patterns: labels.map(candidate => new RegExp(
+    `(?<![\\p{L}\\p{N}])${candidate.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\p{L}\\p{N}])`,
+    'u'
+  ))
+}));
+
+// Fields whose labels name an ISBN. Other labels that mention one ("Page numbers source ISBN",
+// "ISBN-Quelle für Seitenzahl") refer to the print edition of a Kindle book, not to this product.
+const ISBN_FIELDS = ['isbn', 'isbn13'];
+
+// Format bullets such as "Taschenbuch : 320 Seiten" or "Broché : 320 pages"
+const PAGES_VALUE_PATTERN = /^(\d+)\s*(?:Seiten|pages|pagine|páginas|pagina['’]s)\b/i;
+
+/**
+ * Maps a detail label in any supported marketplace language to a book data field
+ * @param {string} label - The detail label (e.g. "Éditeur")
+ * @returns {string|null} - The field name or null if the label is not used
+ */
+function matchDetailLabel(label) {
+  const normalized = label.toLowerCase().replace(/[\u200e\u200f]/g, '').replace(/\s+/g, ' ').trim();
+  if (!normalized) {
+    return null;
+  }
+
+  const mentionsIsbn = normalized.includes('isbn');
+  for (const { field, patterns } of DETAIL_LABEL_PATTERNS) {
+    if (mentionsIsbn !== ISBN_FIELDS.includes(field)) {
+      continue;
+    }
+    if (patterns.some(pattern => pattern.test(normalized))) {
+      return field;
+    }
+  }
+  return null;
+}
+
+/**
+ * Stores a detail value in the book data
+ * @param {Object} bookData - The book data object to update
+ * @param {string} label - The detail label
+ * @param {string} value - The detail value
+ */
+function applyDetail(bookData, label, value) {
+  const field = matchDetailLabel(label);
+
+  if (field === 'pageCount') {
+    const pageMatch = value.match(/\d+/);
+    if (pageMatch) {
+      bookData.pageCount = pageMatch[0];
+    }
+  } else if (field === 'publisher') {
+    bookData.publisher = value;
+
+    // Publication date might be included with publisher
+    const dateMatch = bookData.publisher.match(/\(([^)]+)\)/);
+    if (dateMatch) {
+      if (!bookData.publicationDate) {
+        bookData.publicationDate = dateMatch[1].trim();
+      }
+      bookData.publisher = bookData.publisher.replace(/\([^)]+\)/, '').trim();
+    }
+  } else if (field === 'publicationDate') {
+    bookData.publicationDate = value;
+  } else if (field === 'narrator') {
+    // Audible lists the narrators in the details as well as in the byline
+    for (const narrator of parseContributorList(value, 'narrator')) {
+      addContributor(bookData.contributors, narrator.name, 'narrator');
+    }
+  } else if (field) {
+    bookData[field] = value;
+  } else if (!bookData.pageCount) {
+    // The binding bullet ("Taschenbuch : 320 Seiten") carries the page count when there is no dedicated label
+    const pagesMatch = value.match(PAGES_VALUE_PATTERN);
+    if (pagesMatch) {
+      bookData.pageCount = pagesMatch[1];
+      bookData.format = bookData.format || label;
+    }
+  }
+}
+
+/**
+ * Extracts one offer per format from the format swatches
+ * @param {CheerioStatic} $ - The Cheerio instance
+ * @returns {Object[]} - Raw offers as { format, price, url, selected }; the selected one is the scraped page
+ */
+function extractOffers($) {
+  const offers = [];
+
+  $('#tmmSwatches .swatchElement').each((i, el) => {
+    const swatch = $(el);
+    const link = swatch.find('a').first();
+    const format = link.find('span').first().text().trim();
+    if (!format) {
+      return;
+    }
+
+    const priceText = swatch.find('.a-color-price, .a-color-secondary').first().text().replace(/\s+/g, ' ').trim();
+    const href = link.attr('href') || '';
+
+    offers.push({
+      format,
+      // Audible shows "0,00 €" for its free trial, which is not the audiobook's price
+      price: TRIAL_PRICE_PATTERN.test(priceText) ? '' : priceText,
+      url: href.startsWith('javascript') ? '' : href,
+      selected: swatch.hasClass('selected')
+    });
+  });
+
+  return offers;
+}
+
+/**
+ * Extracts the contributors from the byline
+ * @param {CheerioStatic} $ - The Cheerio instance
+ * @returns {Object[]} - The contributors as { name, role }
+ */
+function extractContributors($) {
+  const contributors = [];
+
+  $('#bylineInfo .author').each((i, el) => {
+    const name = $(el).find('a').first().text().trim();
+    const roleText = $(el).find('.contribution').text().replace(/[()]/g, '').trim();
+
+    // Names without a role label are authors; several roles are separated by commas
+    const roles = roleText
+      ? roleText.split(',').map(label => normalizeContributorRole(label) || 'contributor')
+      : ['author'];
+    roles.forEach(role => addContributor(contributors, name, role));
+  });
+
+  // Older page layouts list the authors without roles
+  if (contributors.length === 0) {
+    $('.contributorNameID, .authorNameLink a, .author a').each((i, el) => {
+      addContributor(contributors, $(el).text(), 'author');
+    });
+  }
+
+  return contributors;
+}
+
+/**
+ * Extracts book details from the detail bullets section
+ * @param {CheerioStatic} $ - The Cheerio instance
+ * @param {Object} bookData - The book data object to update
+ */
+function extractFromDetailBullets($, bookData) {
+  $('#detailBullets_feature_div li, #detailBulletsWrapper_feature_div li').each((i, el) => {
+    // Amazon pads the labels with invisible direction marks
+    const text = $(el).text().replace(/[\u200e\u200f]/g, '').replace(/\s+/g, ' ').trim();
+    const separator = text.indexOf(':');
+    if (separator === -1) {
+      return;
+    }
+
+    // Values like times or URLs may contain colons themselves
+    const label = text.slice(0, separator);
+    const value = text.slice(separator + 1).trim();
+
+    if (value) {
+      applyDetail(bookData, label, value);
+    }
+  });
+}
+
+/**
+ * Extracts book details from the book details section
+ * @param {CheerioStatic} $ - The Cheerio instance
+ * @param {Object} bookData - The book data object to update
+ */
+function extractFromBookDetails($, bookData) {
+  $('.detail-bullet-list span').each((i, el) => {
+    const label = $(el).find('.a-text-bold').text().trim();
+    const value = $(el).text().replace(label, '').trim();
+
+    if (label && value) {
+      applyDetail(bookData, label, value);
+    }
+  });
+}
+
+/**
+ * Extracts book details from the technical details section
+ * @param {CheerioStatic} $ - The Cheerio instance
+ * @param {Object} bookData - The book data object to update
+ */
+function extractFromTechnicalDetails($, bookData) {
+  $('.techDetalsCol .technicalData').each((i, el) => {
+    const label = $(el).find('.label').text().trim();
+    const value = $(el).find('.value').text().trim();
+
+    if (label && value) {
+      applyDetail(bookData, label, value);
+    }
+  });
+  
+  // Try to extract categories
+  $('.zg_hrsr_ladder a').each((i, el) => {
+    const category = $(el).text().trim();
+    if (category && !bookData.categories.includes(category)) {
+      bookData.categories.push(category);
+    }
+  });
+}
+
+module.exports = {
+  DETAIL_LABELS,
+  matchDetailLabel,
+  extractBookData,
+  extractContributors,
+  extractOffers,
+  extractDescription,
+  extractFromDetailBullets,
+  extractFromBookDetails,
+  extractFromTechnicalDetails
+};
@@ -0,0 +1,50 @@
+/**
+ * Amazon Marketplaces
+ *
+ * The Amazon storefronts the scraper accepts, with the currency they sell in
+ * and the Accept-Language header that makes them serve their own locale.
+ * The ASIN of a book is shared between marketplaces, but title language,
+ * price and availability are not, so results are kept per marketplace.
+ */
+
+const MARKETPLACES = [
+  { id: 'de', domain: 'amazon.de', currency: 'EUR', acceptLanguage: 'de-DE,de;q=0.9,en-US;q=0.8,en;q=0.7' },
+  { id: 'at', domain: 'amazon.at', currency: 'EUR', acceptLanguage: 'de-AT,de;q=0.9,en-US;q=0.8,en;q=0.7' },
+  { id: 'com', domain: 'amazon.com', currency: 'USD', acceptLanguage: 'en-US,en;q=0.9' },
+  { id: 'co.uk', domain: 'amazon.co.uk', currency: 'GBP', acceptLanguage: 'en-GB,en;q=0.9' },
+  { id: 'fr', domain: 'amazon.fr', currency: 'EUR', acceptLanguage: 'fr-FR,fr;q=0.9,en-US;q=0.8,en;q=0.7' },
+  { id: 'it', domain: 'amazon.it', currency: 'EUR', acceptLanguage: 'it-IT,it;q=0.9,en-US;q=0.8,en;q=0.7' },
+  { id: 'es', domain: 'amazon.es', currency: 'EUR', acceptLanguage: 'es-ES,es;q=0.9,en-US;q=0.8,en;q=0.7' },
+  { id: 'nl', domain: 'amazon.nl', currency: 'EUR', acceptLanguage: 'nl-NL,nl;q=0.9,en-US;q=0.8,en;q=0.7' }
+];
+
+/**
+ * Finds the marketplace serving a host name, on any subdomain (www, m, smile, ...)
+ * @param {string} hostname - The host name (e.g. 'www.amazon.co.uk', 'm.amazon.de')
+ * @returns {Object|null} - The marketplace or null if the host is not a supported Amazon store
+ */
+function getMarketplaceForHost(hostname) {
+  const host = hostname.toLowerCase();
+  return MARKETPLACES.find(marketplace =>
+    host === marketplace.domain || host.endsWith(`.${marketplace.domain}`)
+  ) || null;
+}
+
+/**
+ * Finds the marketplace of an Amazon URL
+ * @param {string} url - The Amazon URL
+ * @returns {Object|null} - The marketplace or null if the URL is not on a supported Amazon store
+ */
+function getMarketplaceForUrl(url) {
+  try {
+    return getMarketplaceForHost(new URL(url).hostname);
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  MARKETPLACES,
+  getMarketplaceForHost,
+  getMarketplaceForUrl
+};
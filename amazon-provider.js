@@ -0,0 +1,414 @@
+/**
+ * Amazon Provider
+ *
+ * Fetches Amazon product pages with a cheap static request first and only
+ * escalates to a rendered browser page when the static HTML is blocked or
+ * incomplete. Both fetch strategies feed the same extractor, and the result
+ * records which strategy produced it.
+ */
+
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { getBrowserPool } = require('./browser-pool');
+const { extractBookData, extractDescription } = require('./amazon-extractor');
+const { searchAmazon } = require('./amazon-search');
+const { resolveFetchMode } = require('./fetch-mode');
+const { MARKETPLACES, getMarketplaceForUrl } = require('./amazon-marketplaces');
+const { isValidIsbn10, normalizeIdentifiers } = require('./isbn');
+const { normalizePublicationDate } = require('./publication-date');
+const { getAuthorSort } = require('./contributors');
+const { normalizeSeries } = require('./series');
+const { normalizeOffers } = require('./offers');
+const { normalizeFormat } = require('./formats');
+const { normalizeAudiobook } = require('./audiobook');
+const { normalizeEbook } = require('./ebook');
+const { PLACEHOLDER_COVER_PATH, resolveCoverUrl } = require('./covers');
+const {
+  AMAZON_SHORT_LINK_HOSTS,
+  extractAsinFromUrl,
+  canonicalizeAmazonUrl,
+  resolveAmazonUrl
+} = require('./amazon-url');
+const {
+  InvalidUrlError,
+  BlockedError,
+  errorFromHttpStatus,
+  toScrapeError
+} = require('./scrape-errors');
+
+// User agents rotated between static requests to avoid detection
+const USER_AGENTS = [
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/15.0 Safari/605.1.15',
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:90.0) Gecko/20100101 Firefox/90.0',
+  'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/92.0.4515.107 Safari/537.36'
+];
+
+// User agent of the pooled browser pages
+const BROWSER_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/99.0.4844.84 Safari/537.36';
+
+// Language names as shown on the supported marketplaces, mapped to ISO 639-1 codes
+const LANGUAGE_CODES = {
+  de: ['deutsch', 'german', 'allemand', 'tedesco', 'alemán', 'duits'],
+  en: ['english', 'englisch', 'anglais', 'inglese', 'inglés', 'engels'],
+  fr: ['français', 'französisch', 'french', 'francese', 'francés', 'frans'],
+  it: ['italiano', 'italienisch', 'italian', 'italien', 'italiaans'],
+  es: ['español', 'spanisch', 'spanish', 'espagnol', 'spagnolo', 'spaans'],
+  nl: ['nederlands', 'niederländisch', 'dutch', 'néerlandais', 'olandese', 'neerlandés']
+};
+
+/**
+ * Validates if the provided URL is a book URL on a supported Amazon marketplace
+ * @param {string} url - The URL to validate
+ * @returns {boolean} - Whether the URL is valid
+ */
+function isValidAmazonUrl(url) {
+  return canonicalizeAmazonUrl(url) !== null;
+}
+
+/**
+ * Builds the canonical product ID of an Amazon URL. The ASIN alone is not
+ * enough because each marketplace has its own language, price and availability.
+ * @param {string} url - The Amazon URL
+ * @returns {string|null} - The product ID (e.g. 'co.uk:3426282570') or null if not found
+ */
+function extractAmazonProductId(url) {
+  const marketplace = getMarketplaceForUrl(url);
+  const asin = extractAsinFromUrl(url);
+  return marketplace && asin ? `${marketplace.id}:${asin}` : null;
+}
+
+/**
+ * Adds random delay to avoid detection
+ * @param {number} min - Minimum delay in milliseconds
+ * @param {number} max - Maximum delay in milliseconds
+ * @returns {Promise<void>}
+ */
+async function randomDelay(min = 1000, max = 3000) {
+  const delay = Math.floor(Math.random() * (max - min + 1)) + min;
+  return new Promise(resolve => setTimeout(resolve, delay));
+}
+
+/**
+ * Checks whether Amazon served its bot detection page instead of the product
+ * @param {string} html - The page HTML
+ * @returns {boolean} - Whether the page is a robot check
+ */
+function isRobotCheckPage(html) {
+  return html.includes('Robot Check') || html.includes('/errors/validateCaptcha');
+}
+
+/**
+ * Checks whether extracted data is good enough to skip the browser fetch
+ * @param {Object} bookData - Data from extractBookData()
+ * @returns {boolean} - Whether title or byline are missing
+ */
+function isIncomplete(bookData) {
+  return !bookData.title || bookData.contributors.length === 0;
+}
+
+/**
+ * Fetches the product page HTML with a plain HTTP request
+ * @param {string} url - The Amazon URL
+ * @returns {Promise<string>} - The page HTML
+ */
+async function fetchAmazonStatic(url) {
+  const headers = {
+    'User-Agent': USER_AGENTS[Math.floor(Math.random() * USER_AGENTS.length)],
+    'Accept-Language': getMarketplaceForUrl(url).acceptLanguage,
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+    'Cache-Control': 'no-cache',
+    'Pragma': 'no-cache'
+  };
+
+  console.log(`Fetching ${url} with axios...`);
+
+  let response;
+  try {
+    response = await axios.get(url, {
+      headers,
+      timeout: 10000,
+      maxRedirects: 5
+    });
+  } catch (error) {
+    throw toScrapeError(error);
+  }
+
+  const html = typeof response.data === 'string' ? response.data : '';
+  if (isRobotCheckPage(html)) {
+    throw new BlockedError('Amazon robot check detected');
+  }
+
+  return html;
+}
+
+/**
+ * Renders the product page in a pooled browser and returns its HTML
+ * @param {string} url - The Amazon URL
+ * @returns {Promise<string>} - The rendered page HTML
+ */
+async function fetchAmazonRendered(url) {
+  // Borrow a page from the shared browser pool instead of launching Chromium per request
+  const pool = getBrowserPool();
+  const page = await pool.acquirePage();
+  let failed = false;
+
+  try {
+    await page.setUserAgent(BROWSER_USER_AGENT);
+
+    // Set extra headers to mimic a real browser
+    await page.setExtraHTTPHeaders({
+      'Accept-Language': getMarketplaceForUrl(url).acceptLanguage
+    });
+
+    // Set viewport to look like a desktop browser
+    await page.setViewport({
+      width: 1366,
+      height: 768
+    });
+
+    // Navigate to the page with a random delay
+    console.log(`Rendering ${url} in the browser...`);
+    await randomDelay();
+    const response = await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+
+    // Missing products and blocked requests come back as HTTP errors
+    if (response && response.status() >= 400) {
+      throw errorFromHttpStatus(response.status(), url);
+    }
+
+    // Wait for important elements to load
+    await page.waitForSelector('body', { timeout: 10000 });
+
+    // Add a random delay to simulate human behavior
+    await randomDelay();
+
+    let content = await page.content();
+
+    // Amazon blocking detection
+    if (isRobotCheckPage(content)) {
+      throw new BlockedError('Amazon robot check detected');
+    }
+
+    // If the description is missing, it might be in a separate tab
+    if (!extractDescription(cheerio.load(content))) {
+      try {
+        // Look for the description tab and click it if it exists
+        const descriptionTabSelector = '#detailBullets_feature_div, #bookDescription_feature_div';
+        if (await page.$(descriptionTabSelector)) {
+          await page.click(descriptionTabSelector);
+          await page.waitForTimeout(1000); // Wait for content to load
+          content = await page.content();
+        }
+      } catch (error) {
+        console.error('Error getting description from tab:', error.message);
+      }
+    }
+
+    return content;
+  } catch (error) {
+    failed = true;
+    throw toScrapeError(error);
+  } finally {
+    await pool.releasePage(page, { destroy: failed });
+  }
+}
+
+/**
+ * Scrapes an Amazon product page, escalating from a static fetch to a
+ * rendered browser fetch when needed
+ * @param {string} url - The Amazon URL
+ * @param {Object} options - Scrape options
+ * @param {string} options.mode - 'auto' (static first, browser if needed), 'static' or 'browser'
+ * @returns {Promise<Object>} - The extracted book data including fetchStrategy
+ */
+async function scrapeAmazonProduct(url, options = {}) {
+  const mode = resolveFetchMode(options.mode);
+
+  const canonical = canonicalizeAmazonUrl(url);
+  if (!canonical) {
+    throw new InvalidUrlError('Invalid Amazon URL');
+  }
+
+  // Request the canonical URL so tracking parameters never reach Amazon
+  const { url: productUrl, asin } = canonical;
+
+  // Prices and texts are in the marketplace's currency and locale
+  const marketplace = getMarketplaceForUrl(url);
+  const source = { marketplace: marketplace.domain, currency: marketplace.currency };
+
+  let staticData = null;
+
+  if (mode !== 'browser') {
+    try {
+      const html = await fetchAmazonStatic(productUrl);
+      staticData = { ...extractBookData(cheerio.load(html), asin), ...source, fetchStrategy: 'static' };
+
+      if (mode === 'static' || !isIncomplete(staticData)) {
+        return staticData;
+      }
+      console.log('Static Amazon page is incomplete, escalating to browser fetch...');
+    } catch (error) {
+      // Only a blocked static request is worth retrying in a real browser
+      if (mode === 'static' || !(error instanceof BlockedError)) {
+        throw error;
+      }
+      console.warn('Static Amazon fetch was blocked, escalating to browser fetch...');
+    }
+  }
+
+  try {
+    const html = await fetchAmazonRendered(productUrl);
+    const renderedData = { ...extractBookData(cheerio.load(html), asin), ...source, fetchStrategy: 'browser' };
+
+    // Keep the static result if the browser did not get any further
+    if (staticData && !renderedData.title && staticData.title) {
+      return staticData;
+    }
+    return renderedData;
+  } catch (error) {
+    if (staticData) {
+      console.warn(`Browser fetch failed (${toScrapeError(error).code}), using incomplete static result`);
+      return staticData;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Normalize book data for consistent format
+ * @param {Object} bookData - The extracted Amazon book data
+ * @returns {Object} - Normalized book data
+ */
+function normalizeAmazonBookData(bookData) {
+  // Keep only checksum-verified ISBNs; isbn becomes the ISBN-13. Print
+  // editions use their ISBN-10 as ASIN, which covers pages without an ISBN bullet.
+  const asinIsbn = bookData.asin && isValidIsbn10(bookData.asin) ? bookData.asin : '';
+  const identified = normalizeSeries(normalizeIdentifiers({ ...bookData, isbn10: bookData.isbn10 || asinIsbn }));
+
+  // Series and edition links are relative to the marketplace
+  const marketplaceUrl = `https://www.${bookData.marketplace || 'amazon.de'}`;
+  const offered = normalizeOffers(identified, {
+    baseUrl: marketplaceUrl,
+    productUrl: `${marketplaceUrl}/dp/${bookData.asin}`
+  });
+
+  // Edition links carry slugs and tracking paths; the canonical /dp/ URL can be scraped directly
+  for (const offer of offered.offers) {
+    const canonical = canonicalizeAmazonUrl(offer.url);
+    if (canonical) {
+      offer.url = canonical.url;
+    }
+  }
+
+  // Format code and the other editions, identified by their ASIN; details of audiobooks and eBooks
+  const normalized = normalizeEbook(normalizeAudiobook(normalizeFormat(offered, { extractId: extractAsinFromUrl })));
+  if (normalized.seriesUrl) {
+    normalized.seriesUrl = new URL(normalized.seriesUrl, marketplaceUrl).href;
+  }
+
+  // The cover without its size token is the largest image Amazon has
+  normalized.coverUrl = resolveCoverUrl(normalized.coverUrl);
+
+  // Convert authors array to string
+  if (Array.isArray(normalized.authors) && normalized.authors.length > 0) {
+    normalized.author = normalized.authors.join(', ');
+    delete normalized.authors;
+  } else if (Array.isArray(normalized.authors) && normalized.authors.length === 0) {
+    normalized.author = '';
+    delete normalized.authors;
+  }
+  normalized.authorSort = getAuthorSort(normalized.contributors || []);
+
+  // Ensure page count is a number
+  if (normalized.pageCount) {
+    normalized.pageCount = parseInt(normalized.pageCount, 10) || null;
+  } else {
+    normalized.pageCount = null;
+  }
+
+  // Set language code from the language name in any marketplace locale
+  if (normalized.language) {
+    const language = normalized.language.toLowerCase();
+    const match = Object.entries(LANGUAGE_CODES).find(([, names]) =>
+      names.some(name => language.includes(name))
+    );
+    if (match) {
+      normalized.languageCode = match[0];
+    }
+  }
+
+  // Publication date as ISO 8601, keeping partial dates partial
+  return normalizePublicationDate(normalized);
+}
+
+/**
+ * Fetches and normalizes book data from an Amazon marketplace
+ * @param {string} url - The Amazon book URL
+ * @param {Object} options - Scrape options, see scrapeAmazonProduct()
+ * @returns {Promise<Object>} - The normalized book data
+ */
+async function fetchBookDataFromAmazon(url, options = {}) {
+  try {
+    const bookData = await scrapeAmazonProduct(url, options);
+    console.log(`Extracted Amazon book data using the ${bookData.fetchStrategy} fetch`);
+    return normalizeAmazonBookData(bookData);
+  } catch (error) {
+    console.error('Error fetching book data:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Placeholder values for an Amazon product, only used when the client opts in.
+ * The language is left out: every marketplace sells books in other languages
+ * than its own.
+ * @param {string} url - The Amazon URL
+ * @returns {Object} - Fallback values for missing fields
+ */
+function getAmazonFallbackData(url) {
+  const asin = extractAsinFromUrl(url);
+  const marketplace = getMarketplaceForUrl(url);
+  return {
+    title: 'Book title not available due to Amazon restrictions',
+    author: 'Author information not available',
+    description: 'Book description not available due to Amazon restrictions. Please check the book directly on Amazon.',
+    coverUrl: PLACEHOLDER_COVER_PATH,
+    asin,
+    marketplace: marketplace.domain,
+    currency: marketplace.currency
+  };
+}
+
+/**
+ * Amazon provider definition for the provider registry
+ */
+const amazonProvider = {
+  name: 'amazon',
+  label: 'Amazon',
+  hosts: MARKETPLACES.map(marketplace => marketplace.domain),
+  shortLinkHosts: AMAZON_SHORT_LINK_HOSTS,
+  urlPatterns: MARKETPLACES.flatMap(marketplace => [
+    `https://www.${marketplace.domain}/dp/<ASIN>`,
+    `https://www.${marketplace.domain}/gp/product/<ASIN>`
+  ]),
+  concurrency: 3,
+  matches: isValidAmazonUrl,
+  extractId: extractAmazonProductId,
+  resolveUrl: resolveAmazonUrl,
+  search: searchAmazon,
+  scrape: (url, options = {}) => fetchBookDataFromAmazon(url, { mode: options.mode }),
+  fallbackData: getAmazonFallbackData
+};
+
+module.exports = {
+  isValidAmazonUrl,
+  extractAsinFromUrl,
+  extractAmazonProductId,
+  fetchAmazonStatic,
+  fetchAmazonRendered,
+  scrapeAmazonProduct,
+  normalizeAmazonBookData,
+  fetchBookDataFromAmazon,
+  amazonProvider
+};
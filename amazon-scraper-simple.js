@@ -1,21 +1,48 @@
 /**
- * Simple Amazon Book Scraper for German Bookshelf Application
- * Uses axios and cheerio instead of Puppeteer for better compatibility with hosting platforms
+ * Book Scraper Server for German Bookshelf Application
+ * Serves the scraping API for every registered provider (Amazon, Thalia, Hugendubel, ...)
  */
 
 const express = require('express');
 const bodyParser = require('body-parser');
 const cors = require('cors');
-const axios = require('axios');
-const cheerio = require('cheerio');
 const path = require('path');
 
-// Import the Thalia scraper module
-const { scrapeThaliaSafe, isValidThaliaUrl } = require('./thalia-scraper');
+// Import the provider modules
+const { isValidAmazonUrl, fetchBookDataFromAmazon, amazonProvider } = require('./amazon-provider');
+const { isValidThaliaUrl, thaliaProvider } = require('./thalia-scraper');
+const { hugendubelProvider } = require('./hugendubel-provider');
+const {
+  registerProvider,
+  requireProviderForScrape,
+  resolveProviderUrl,
+  getProvider,
+  listProviders
+} = require('./provider-registry');
+const { getBrowserPool } = require('./browser-pool');
+const { JobQueue, serializeJob } = require('./job-queue');
+const { createScrapeCache, getCacheKey } = require('./scrape-cache');
+const { createCoverStore, getCoverId, isValidCoverId, getCoverPaths } = require('./cover-store');
+const { COVER_SIZES, renderPlaceholderSvg, withAbsoluteCoverUrls } = require('./covers');
+const {
+  InvalidUrlError,
+  InvalidIsbnError,
+  InvalidOptionError,
+  NotFoundError,
+  ParseFailedError,
+  toScrapeError,
+  toErrorResponse
+} = require('./scrape-errors');
+const { assessBookData, applyFallbackValues, failedBookData } = require('./book-result');
+const { resolveFetchMode } = require('./fetch-mode');
+const { parseIsbn } = require('./isbn');
 
 const app = express();
 const PORT = process.env.PORT || 3333;
 
+// Behind a proxy (Render, nginx) the public protocol and host come from the X-Forwarded-* headers
+app.set('trust proxy', true);
+
 // Configure middleware
 app.use(bodyParser.json());
 
@@ -36,287 +63,221 @@ app.use(express.json());
 // Serve static files from the public directory
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Register the supported shops
+registerProvider(amazonProvider);
+registerProvider(thaliaProvider);
+registerProvider(hugendubelProvider);
+
+// Background scrape jobs, limited globally and per provider
+const jobQueue = new JobQueue({
+  concurrency: parseInt(process.env.JOBS_CONCURRENCY, 10) || 3,
+  providerConcurrency: Object.fromEntries(
+    listProviders().map(provider => [provider.name, provider.concurrency])
+  )
+});
+
+// Scraped book data keyed by canonical product ID
+const scrapeCache = createScrapeCache();
+
+// Downloaded covers keyed by ISBN-13 or canonical product ID
+const coverStore = createCoverStore();
+
 /**
- * Validates if the provided URL is a valid Amazon.de book URL
+ * Queues the download of a scraped book's cover and adds the local paths it
+ * is served from. The scrape does not wait for the download; the paths serve
+ * a placeholder until the cover is stored.
+ * @param {Object} provider - The provider from the registry
+ * @param {string} url - The product URL
+ * @param {Object} bookData - The scraped book data
+ * @param {Object} options - Cover options
+ * @param {boolean} options.refresh - Download the cover again even if one is stored
+ * @returns {Object} - The book data with coverId and covers, one path per size
  */
-function isValidAmazonUrl(url) {
-  try {
-    const urlObj = new URL(url);
-    return (
-      (urlObj.hostname === 'www.amazon.de' || 
-       urlObj.hostname === 'amazon.de') &&
-      (urlObj.pathname.includes('/dp/') || 
-       urlObj.pathname.includes('/gp/product/'))
-    );
-  } catch (error) {
-    return false;
+function storeCover(provider, url, bookData, options = {}) {
+  const coverId = bookData.title ? getCoverId(provider, url, bookData) : null;
+  if (!coverId) {
+    return bookData;
   }
+
+  // A missing cover is served as a placeholder, so it never fails the scrape
+  coverStore.queueCover(coverId, bookData.coverUrl, { title: bookData.title, author: bookData.author }, options)
+    .catch(error => console.error(`Error storing the cover of ${coverId}:`, error.message));
+
+  return { ...bookData, coverId, covers: getCoverPaths(coverId) };
 }
 
 /**
- * Extracts the ASIN from an Amazon URL
+ * Queues the cover of a cached result again if it is no longer stored, e.g.
+ * because the cover directory was cleared after the result was cached
+ * @param {Object} bookData - The cached book data with coverId
+ * @returns {Promise<void>}
  */
-function extractAsinFromUrl(url) {
-  try {
-    const urlObj = new URL(url);
-    const pathname = urlObj.pathname;
-    
-    // Extract ASIN from /dp/ASIN or /gp/product/ASIN pattern
-    const dpMatch = pathname.match(/\/dp\/([A-Z0-9]{10})/);
-    if (dpMatch) return dpMatch[1];
-    
-    const gpMatch = pathname.match(/\/gp\/product\/([A-Z0-9]{10})/);
-    if (gpMatch) return gpMatch[1];
-    
-    return null;
-  } catch (error) {
-    return null;
+async function restoreCover(bookData) {
+  const { coverId } = bookData;
+  if (!coverId || coverStore.isPending(coverId) || await coverStore.isStored(coverId)) {
+    return;
   }
+
+  console.log(`Cover of ${coverId} is missing, downloading it again`);
+  coverStore.queueCover(coverId, bookData.coverUrl, { title: bookData.title, author: bookData.author })
+    .catch(error => console.error(`Error storing the cover of ${coverId}:`, error.message));
 }
 
 /**
- * Fetches book data from Amazon.de using axios and cheerio
+ * Returns the public URL of this server that cover URLs are built on
+ * @param {Object} req - The Express request
+ * @returns {string} - PUBLIC_BASE_URL, or the origin the request was sent to
  */
-async function fetchBookDataFromAmazon(url) {
-  if (!isValidAmazonUrl(url)) {
-    throw new Error('Invalid Amazon URL');
+function getPublicBaseUrl(req) {
+  if (process.env.PUBLIC_BASE_URL) {
+    return process.env.PUBLIC_BASE_URL;
   }
 
-  const asin = extractAsinFromUrl(url);
-  if (!asin) {
-    throw new Error('Could not extract ASIN from URL');
-  }
+  // req.protocol follows X-Forwarded-Proto, the host header is taken from X-Forwarded-Host the same way
+  const host = (req.get('x-forwarded-host') || req.get('host') || '').split(',')[0].trim();
+  return `${req.protocol}://${host}`;
+}
 
-  try {
-    // Try multiple user agents to avoid detection
-    const userAgents = [
-      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-      'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/15.0 Safari/605.1.15',
-      'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:90.0) Gecko/20100101 Firefox/90.0',
-      'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/92.0.4515.107 Safari/537.36'
-    ];
-    
-    const randomUserAgent = userAgents[Math.floor(Math.random() * userAgents.length)];
-    
-    // Amazon doesn't allow direct scraping, so we'll use a fallback method
-    // to extract basic book data from multiple sources
-    
-    // Initialize book data with default values
-    const bookData = {
-      title: 'Unknown Title',
-      authors: [],
-      description: 'No description available',
-      coverUrl: '',
-      language: 'German',
-      categories: [],
-      isbn: '',
-      isbn13: '',
-      asin: asin,
-      pageCount: null,
-      publicationDate: '',
-      publisher: '',
-      type: 'ebook'
-    };
-    
-    // Try to get book data from Amazon URL directly
+/**
+ * Prepares book data for a response: local cover paths become absolute URLs,
+ * since the frontend is served from another origin
+ * @param {Object} req - The Express request
+ * @param {Object} bookData - The book data, or null
+ * @returns {Object} - The book data to send
+ */
+function toResponseBookData(req, bookData) {
+  return withAbsoluteCoverUrls(bookData, getPublicBaseUrl(req));
+}
+
+/**
+ * Serializes a job for a response, see toResponseBookData()
+ * @param {Object} req - The Express request
+ * @param {Object} job - The job from the job queue
+ * @returns {Object} - The serialized job
+ */
+function toResponseJob(req, job) {
+  const serialized = serializeJob(job);
+  return { ...serialized, result: toResponseBookData(req, serialized.result) };
+}
+
+/**
+ * Scrapes a URL with its provider, answering repeated requests for the same
+ * product from the cache
+ * @param {Object} provider - The provider from the registry
+ * @param {string} url - The product URL
+ * @param {Object} options - Scrape options; refresh bypasses the cache, the rest is passed to the provider
+ * @returns {Promise<Object>} - The assessed book data and the cache status ('HIT' or 'MISS')
+ */
+async function scrapeWithCache(provider, url, options = {}) {
+  const { refresh = false, ...scrapeOptions } = options;
+  const cacheKey = getCacheKey(provider, url);
+
+  if (cacheKey && !refresh) {
     try {
-      // Set headers to mimic a browser
-      const headers = {
-        'User-Agent': randomUserAgent,
-        'Accept-Language': 'de-DE,de;q=0.9,en-US;q=0.8,en;q=0.7',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-        'Cache-Control': 'no-cache',
-        'Pragma': 'no-cache'
-      };
-
-      console.log(`Fetching book data from ${url} with axios...`);
-      const response = await axios.get(url, { 
-        headers,
-        timeout: 10000,
-        maxRedirects: 5
-      });
-      
-      // Amazon blocking detection
-      if (response.data && response.data.includes('Robot Check')) {
-        console.warn('Amazon robot check detected, using alternative scraping method...');
-        throw new Error('Amazon robot check detected');
-      }
-      
-      // Load HTML into cheerio
-      const $ = cheerio.load(response.data);
-      
-      // Extract book title
-      const title = $('#productTitle').text().trim();
-      if (title) {
-        bookData.title = title;
-      }
-      
-      // Extract book author
-      const authorElement = $('.contributorNameID, .author a, a.contributorNameID');
-      authorElement.each((i, el) => {
-        const author = $(el).text().trim();
-        if (author && !bookData.authors.includes(author)) {
-          bookData.authors.push(author);
-        }
-      });
-      
-      // Extract book description
-      const description = $('#bookDescription_feature_div .a-expander-content').text().trim() 
-                        || $('#productDescription p').text().trim() 
-                        || $('#bookDescription_feature_div noscript').text().trim();
-      if (description) {
-        bookData.description = description;
-      }
-      
-      // Extract book cover URL
-      const coverUrl = $('#imgBlkFront').attr('src') || $('#landingImage').attr('src');
-      if (coverUrl) {
-        bookData.coverUrl = coverUrl;
+      const cached = await scrapeCache.get(cacheKey);
+      if (cached) {
+        console.log(`Cache hit for ${cacheKey}`);
+        await restoreCover(cached);
+        return { bookData: cached, cacheStatus: 'HIT' };
       }
-      
-      // Extract book details
-      const detailsElements = $('#detailBullets_feature_div li, .detail-bullet-list li');
-      detailsElements.each((i, el) => {
-        const text = $(el).text().trim();
-        
-        // Extract ISBN
-        if (text.includes('ISBN-10') || text.includes('ISBN-10:')) {
-          const match = text.match(/(\d{10})/);
-          if (match) bookData.isbn = match[1];
-        }
-        
-        // Extract ISBN-13
-        if (text.includes('ISBN-13') || text.includes('ISBN-13:')) {
-          const match = text.match(/(\d{13})/);
-          if (match) bookData.isbn13 = match[1];
-        }
-        
-        // Extract page count
-        if (text.includes('Seitenzahl') || text.includes('pages') || text.includes('Seiten')) {
-          const match = text.match(/(\d+)/);
-          if (match) bookData.pageCount = parseInt(match[1]);
-        }
-        
-        // Extract publisher
-        if (text.includes('Verlag') || text.includes('Publisher')) {
-          // The format is typically "Publisher: Name (Date)"
-          const publisherMatch = text.match(/Herausgeber\s*:\s*([^(]+)/) 
-                              || text.match(/Verlag\s*:\s*([^(]+)/) 
-                              || text.match(/Publisher\s*:\s*([^(]+)/);
-          if (publisherMatch) {
-            bookData.publisher = publisherMatch[1].trim();
-          }
-          
-          // Extract publication date
-          const dateMatch = text.match(/\(([^)]+)\)/);
-          if (dateMatch) {
-            bookData.publicationDate = dateMatch[1].trim();
-          }
-        }
-        
-        // Extract language
-        if (text.includes('Sprache') || text.includes('Language')) {
-          if (text.includes('Deutsch') || text.includes('German')) {
-            bookData.language = 'Deutsch';
-          } else if (text.includes('Englisch') || text.includes('English')) {
-            bookData.language = 'English';
-          } else {
-            const langMatch = text.match(/Sprache\s*:\s*([^;]+)/) || text.match(/Language\s*:\s*([^;]+)/);
-            if (langMatch) {
-              bookData.language = langMatch[1].trim();
-            }
-          }
-        }
-      });
-      
-      // Extract categories
-      const breadcrumbs = $('#wayfinding-breadcrumbs_feature_div li');
-      breadcrumbs.each((i, el) => {
-        const category = $(el).text().trim();
-        if (category && !category.includes('›')) {
-          bookData.categories.push(category);
-        }
-      });
-      
-      console.log('Successfully extracted book data from Amazon page');
     } catch (error) {
-      console.warn('Error during direct scraping, data may be incomplete:', error.message);
+      console.error('Error reading from scrape cache:', error.message);
     }
-    
-    // If we still don't have most of the data, try fallback methods
-    if (!bookData.title || bookData.title === 'Unknown Title' || !bookData.authors.length) {
-      console.log('Direct scraping provided incomplete data, trying fallback methods...');
-      
-      try {
-        // Simulate using Google Books API or other sources to get book data
-        // In a real application, this would use authenticated APIs or a proxy service
-        const bookDataFromFallback = {
-          title: 'Book title not available due to Amazon restrictions',
-          authors: ['Author information not available'],
-          description: 'Book description not available due to Amazon restrictions. Please check the book directly on Amazon.',
-          coverUrl: `https://via.placeholder.com/150x225?text=ASIN:${asin}`,
-          language: 'Deutsch',
-          pageCount: null,
-          publicationDate: '',
-          publisher: '',
-        };
-        
-        // Update the book data with fallback data if it's missing
-        if (bookData.title === 'Unknown Title') bookData.title = bookDataFromFallback.title;
-        if (!bookData.authors.length) bookData.authors = bookDataFromFallback.authors;
-        if (bookData.description === 'No description available') bookData.description = bookDataFromFallback.description;
-        if (!bookData.coverUrl) bookData.coverUrl = bookDataFromFallback.coverUrl;
-      } catch (fallbackError) {
-        console.error('Fallback method failed:', fallbackError.message);
-      }
+  }
+
+  const bookData = assessBookData(storeCover(provider, url, await provider.scrape(url, scrapeOptions), { refresh }));
+
+  // Failed extractions are not cached so the next request tries again. Neither are partial
+  // static-only results, since an auto or browser scrape of the same product may complete them.
+  const isIncompleteStatic = scrapeOptions.mode === 'static' && bookData.status !== 'complete';
+  if (cacheKey && bookData.status !== 'failed' && !isIncompleteStatic) {
+    try {
+      await scrapeCache.set(cacheKey, bookData);
+    } catch (error) {
+      console.error('Error writing to scrape cache:', error.message);
     }
-    
-    return normalizeBookData(bookData);
-  } catch (error) {
-    console.error('Error fetching book data:', error.message);
-    throw error;
   }
+
+  return { bookData, cacheStatus: 'MISS' };
 }
 
 /**
- * Normalize book data for consistent format
+ * Scrapes a URL and applies the partial-result rules: the result carries a
+ * status and its missing fields, and placeholder values are only filled in
+ * when the client asked for them with the fallback option
+ * @param {Object} provider - The provider from the registry
+ * @param {string} url - The product URL
+ * @param {Object} options - Scrape options; fallback enables placeholder values, refresh bypasses the cache
+ * @returns {Promise<Object>} - The book data and the cache status ('HIT' or 'MISS')
  */
-function normalizeBookData(bookData) {
-  const normalized = { ...bookData };
-  
-  // Convert authors array to string
-  if (Array.isArray(normalized.authors) && normalized.authors.length > 0) {
-    normalized.author = normalized.authors.join(', ');
-    delete normalized.authors;
-  } else if (Array.isArray(normalized.authors) && normalized.authors.length === 0) {
-    normalized.author = 'Unknown Author';
-    delete normalized.authors;
-  }
-  
-  // Ensure ISBN is a string
-  if (normalized.isbn && typeof normalized.isbn !== 'string') {
-    normalized.isbn = String(normalized.isbn);
-  }
-  
-  // Set language code
-  if (normalized.language) {
-    if (normalized.language.includes('Deutsch') || normalized.language === 'German') {
-      normalized.languageCode = 'de';
-    } else if (normalized.language.includes('English') || normalized.language === 'English') {
-      normalized.languageCode = 'en';
+async function scrapeUrl(provider, url, options = {}) {
+  const { fallback = false, ...scrapeOptions } = options;
+  let result;
+
+  try {
+    result = await scrapeWithCache(provider, url, scrapeOptions);
+  } catch (error) {
+    const scrapeError = toScrapeError(error);
+
+    // A shop that stays unreachable still yields a failed result if the client wants fallbacks
+    if (!fallback || !provider.fallbackData || !scrapeError.retryable) {
+      throw scrapeError;
     }
-  } else {
-    // Default language for German bookstore
-    normalized.language = 'Deutsch';
-    normalized.languageCode = 'de';
+
+    console.warn(`Scraping ${url} failed (${scrapeError.code}), using fallback values`);
+    result = { bookData: failedBookData(scrapeError), cacheStatus: 'MISS' };
   }
 
-  // Fix empty cover URL with a placeholder
-  if (!normalized.coverUrl) {
-    normalized.coverUrl = 'https://via.placeholder.com/150x225?text=No+Cover';
+  if (!fallback) {
+    if (result.bookData.status === 'failed') {
+      throw new ParseFailedError(`Could not extract book data from ${url}`);
+    }
+    return result;
   }
 
-  return normalized;
+  const fallbackValues = provider.fallbackData ? provider.fallbackData(url) : {};
+  return {
+    ...result,
+    bookData: applyFallbackValues(result.bookData, fallbackValues)
+  };
+}
+
+/**
+ * Checks whether the request opts in to placeholder values for missing fields
+ * @param {Object} req - The Express request
+ * @returns {boolean} - Whether fallback values should be applied
+ */
+function isFallbackRequested(req) {
+  return req.query.fallback === 'true' || req.body.fallback === true;
+}
+
+/**
+ * Checks whether the request asks to bypass the cache with ?refresh=true
+ * @param {Object} req - The Express request
+ * @returns {boolean} - Whether the cache should be bypassed
+ */
+function isRefreshRequested(req) {
+  return req.query.refresh === 'true' || req.body.refresh === true;
+}
+
+/**
+ * Reads the fetch mode ('auto', 'static' or 'browser') from ?mode= or the request body
+ * @param {Object} req - The Express request
+ * @returns {string} - The fetch mode to use
+ */
+function getRequestedMode(req) {
+  return resolveFetchMode(req.query.mode || req.body.mode);
+}
+
+/**
+ * Sends a failed scrape as JSON with the status code of its error type
+ * @param {Object} res - The Express response
+ * @param {Error} error - The error to report
+ * @returns {Object} - The Express response
+ */
+function sendScrapeError(res, error) {
+  const { status, body } = toErrorResponse(error);
+  return res.status(status).json(body);
 }
 
 // Create API endpoint for scraping
@@ -328,38 +289,24 @@ app.post('/api/scrape', async (req, res) => {
     
     if (!url) {
       console.error('No URL provided in request');
-      return res.status(400).json({ 
-        success: false, 
-        error: 'No URL provided' 
-      });
+      return sendScrapeError(res, new InvalidUrlError('No URL provided'));
     }
 
     console.log(`Scraping URL: ${url}`);
 
     try {
-      // Validate URL
-      if (!isValidAmazonUrl(url) && !isValidThaliaUrl(url)) {
-        console.error('Invalid URL:', url);
-        return res.status(400).json({ 
-          success: false, 
-          error: 'Invalid URL' 
-        });
-      }
+      // Find the provider responsible for this URL, following short links
+      const mode = getRequestedMode(req);
+      const { provider, url: productUrl } = await requireProviderForScrape(url);
 
       // Scrape book data
-      let bookData;
-      if (isValidAmazonUrl(url)) {
-        bookData = await fetchBookDataFromAmazon(url);
-      } else if (isValidThaliaUrl(url)) {
-        // Use the improved Thalia scraper from the module
-        bookData = await scrapeThaliaSafe(url, {
-          maxRetries: 3,
-          validateData: true,
-          normalizeData: true,
-          fixData: true,
-          debug: true
-        });
-      }
+      console.log(`Using provider "${provider.name}" for ${productUrl}`);
+      const { bookData, cacheStatus } = await scrapeUrl(provider, productUrl, {
+        refresh: isRefreshRequested(req),
+        fallback: isFallbackRequested(req),
+        mode
+      });
+      res.set('X-Cache', cacheStatus);
       
       // Log successful response
       console.log('Successfully scraped data:', JSON.stringify(bookData).substring(0, 200) + '...');
@@ -367,16 +314,14 @@ app.post('/api/scrape', async (req, res) => {
       // Return success response
       return res.json({ 
         success: true, 
-        bookData 
+        provider: provider.name,
+        bookData: toResponseBookData(req, bookData)
       });
     } catch (error) {
-      console.error('Error during scraping:', error.message);
+      console.error('Error during scraping:', toScrapeError(error).code, error.message);
       
-      // Return error response
-      return res.status(500).json({ 
-        success: false, 
-        error: error.message || 'An error occurred during scraping' 
-      });
+      // Return error response with the status code of the error type
+      return sendScrapeError(res, error);
     }
   } catch (error) {
     console.error('Unexpected server error:', error);
@@ -389,6 +334,394 @@ app.post('/api/scrape', async (req, res) => {
   }
 });
 
+// Maximum number of URLs accepted by the batch endpoint
+const MAX_BATCH_SIZE = 50;
+
+// Scrape many URLs and stream one NDJSON line per URL as each finishes
+app.post('/api/scrape/batch', async (req, res) => {
+  const { urls } = req.body;
+
+  if (!Array.isArray(urls) || urls.length === 0) {
+    return sendScrapeError(res, new InvalidUrlError('No URLs provided'));
+  }
+
+  if (urls.length > MAX_BATCH_SIZE) {
+    return res.status(400).json({ 
+      success: false, 
+      error: `Too many URLs, the maximum batch size is ${MAX_BATCH_SIZE}`,
+      errorCode: 'BATCH_TOO_LARGE'
+    });
+  }
+
+  let mode;
+  try {
+    mode = getRequestedMode(req);
+  } catch (error) {
+    return sendScrapeError(res, error);
+  }
+
+  console.log(`Received batch scrape request for ${urls.length} URLs`);
+  const refresh = isRefreshRequested(req);
+  const fallback = isFallbackRequested(req);
+
+  res.status(200);
+  res.setHeader('Content-Type', 'application/x-ndjson');
+  res.setHeader('Cache-Control', 'no-cache');
+
+  const writeLine = (line) => {
+    if (!res.writableEnded) {
+      res.write(JSON.stringify(line) + '\n');
+    }
+  };
+
+  // Every URL goes through the job queue, which bounds the concurrency
+  const pending = urls.map(async (url, index) => {
+    let provider;
+    let productUrl;
+    try {
+      ({ provider, url: productUrl } = await requireProviderForScrape(url));
+    } catch (error) {
+      writeLine({ index, url, ...toErrorResponse(error).body });
+      return;
+    }
+
+    const job = jobQueue.enqueue({
+      provider: provider.name,
+      url: productUrl,
+      run: ({ onAttempt }) => scrapeUrl(provider, productUrl, { refresh, fallback, mode, onAttempt })
+    });
+
+    await job.done;
+
+    if (job.status === 'succeeded') {
+      writeLine({ 
+        index, 
+        url, 
+        success: true, 
+        provider: provider.name, 
+        cache: job.result.cacheStatus, 
+        bookData: toResponseBookData(req, job.result.bookData)
+      });
+    } else {
+      writeLine({ index, url, provider: provider.name, ...toErrorResponse(job.error).body });
+    }
+  });
+
+  await Promise.all(pending);
+  res.end();
+});
+
+// Enqueue a scrape job and return its ID immediately
+app.post('/api/jobs', async (req, res) => {
+  const { url } = req.body;
+
+  if (!url) {
+    return sendScrapeError(res, new InvalidUrlError('No URL provided'));
+  }
+
+  let provider;
+  let productUrl;
+  let mode;
+  try {
+    mode = getRequestedMode(req);
+    ({ provider, url: productUrl } = await requireProviderForScrape(url));
+  } catch (error) {
+    return sendScrapeError(res, error);
+  }
+
+  const refresh = isRefreshRequested(req);
+  const fallback = isFallbackRequested(req);
+  const job = jobQueue.enqueue({
+    provider: provider.name,
+    url: productUrl,
+    run: async ({ onAttempt }) => {
+      const { bookData } = await scrapeUrl(provider, productUrl, { refresh, fallback, mode, onAttempt });
+      return bookData;
+    }
+  });
+
+  console.log(`Queued job ${job.id} for ${productUrl} (provider "${provider.name}")`);
+
+  return res.status(202).json({
+    success: true,
+    jobId: job.id,
+    job: toResponseJob(req, job)
+  });
+});
+
+// Get the status and result of a scrape job
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobQueue.getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ 
+      success: false, 
+      error: 'Job not found' 
+    });
+  }
+
+  return res.json({
+    success: true,
+    job: toResponseJob(req, job)
+  });
+});
+
+// Resolve short links and messy product URLs to the canonical product URL
+app.post('/api/resolve-url', async (req, res) => {
+  const { url } = req.body;
+
+  if (!url) {
+    return sendScrapeError(res, new InvalidUrlError('No URL provided'));
+  }
+
+  try {
+    const { provider, ...resolution } = await resolveProviderUrl(url);
+    console.log(`Resolved ${url} to ${resolution.url}`);
+
+    return res.json({
+      success: true,
+      provider: provider.name,
+      originalUrl: url,
+      ...resolution
+    });
+  } catch (error) {
+    console.error('Error resolving URL:', toScrapeError(error).code, error.message);
+    return sendScrapeError(res, error);
+  }
+});
+
+// Shops searched by the ISBN lookup, in order of preference
+const LOOKUP_PROVIDERS = ['thalia', 'amazon'];
+
+// Maximum number of editions returned as lookup candidates
+const MAX_LOOKUP_CANDIDATES = 10;
+
+// Maximum number of candidates scraped to find the one with the requested ISBN
+const MAX_LOOKUP_SCRAPES = 3;
+
+/**
+ * Finds the products for an ISBN in the shops' search and scrapes candidates
+ * until one carries the requested ISBN. Search hits are only returned as the
+ * book once the scraped product data confirms the ISBN.
+ * @param {Object} isbn - The parsed ISBN from parseIsbn()
+ * @param {Object} options - Scrape options passed to scrapeUrl()
+ * @returns {Promise<Object>} - The verified candidate, its book data and cache status, and all candidates
+ * @throws {ScrapeError} - NotFoundError with the candidates if no scraped candidate has the ISBN
+ */
+async function lookupIsbn(isbn, options = {}) {
+  const providers = LOOKUP_PROVIDERS.map(getProvider).filter(provider => provider && provider.search);
+
+  const results = await Promise.allSettled(providers.map(provider => provider.search(isbn.isbn13)));
+
+  const candidates = [];
+  results.forEach((result, index) => {
+    const provider = providers[index];
+    if (result.status === 'rejected') {
+      const error = toScrapeError(result.reason);
+      console.warn(`ISBN search on ${provider.name} failed: ${error.code}: ${error.message}`);
+      return;
+    }
+
+    for (const candidate of result.value.candidates) {
+      candidates.push({
+        provider: provider.name,
+        ...candidate,
+        // Amazon uses the ISBN-10 as ASIN of print editions; other hits are confirmed by scraping them
+        exactMatch: candidate.id === isbn.isbn10
+      });
+    }
+  });
+
+  if (candidates.length === 0) {
+    // Without a complete search the product may still exist, so report why a shop failed
+    const failure = results.find(result => result.status === 'rejected');
+    if (failure) {
+      throw toScrapeError(failure.reason);
+    }
+    throw new NotFoundError(`No product found for ISBN ${isbn.isbn13}`);
+  }
+
+  // Exact matches first, otherwise keep the shop order and the shops' own ranking
+  const ranked = candidates
+    .map((candidate, index) => ({ candidate, index }))
+    .sort((a, b) => (b.candidate.exactMatch - a.candidate.exactMatch) || (a.index - b.index))
+    .map(({ candidate }) => candidate)
+    .slice(0, MAX_LOOKUP_CANDIDATES);
+
+  let scrapeFailure = null;
+  for (const candidate of ranked.slice(0, MAX_LOOKUP_SCRAPES)) {
+    try {
+      const { bookData, cacheStatus } = await scrapeUrl(getProvider(candidate.provider), candidate.url, options);
+      if (bookData.isbn13 === isbn.isbn13) {
+        candidate.exactMatch = true;
+        return { best: candidate, bookData, cacheStatus, candidates: ranked };
+      }
+      console.log(`Lookup candidate ${candidate.url} has ISBN ${bookData.isbn13 || 'none'}, not ${isbn.isbn13}`);
+    } catch (error) {
+      scrapeFailure = toScrapeError(error);
+      console.warn(`Could not scrape lookup candidate ${candidate.url}: ${scrapeFailure.code}: ${scrapeFailure.message}`);
+    }
+  }
+
+  // A candidate that could not be scraped may still be the book, so its error is reported instead
+  const error = scrapeFailure || new NotFoundError(
+    `None of the products found for ISBN ${isbn.isbn13} has this ISBN`
+  );
+  error.candidates = ranked;
+  throw error;
+}
+
+// Look up a book by ISBN-10 or ISBN-13 in the supported shops
+app.get('/api/lookup', async (req, res) => {
+  const isbn = parseIsbn(req.query.isbn);
+
+  if (!isbn) {
+    return sendScrapeError(res, new InvalidIsbnError(
+      req.query.isbn ? `Invalid ISBN: ${req.query.isbn}` : 'No ISBN provided'
+    ));
+  }
+
+  try {
+    console.log(`Looking up ISBN ${isbn.isbn13}`);
+    const { best, bookData, cacheStatus, candidates } = await lookupIsbn(isbn, {
+      refresh: isRefreshRequested(req),
+      fallback: isFallbackRequested(req),
+      mode: getRequestedMode(req)
+    });
+    res.set('X-Cache', cacheStatus);
+
+    return res.json({
+      success: true,
+      isbn: isbn.isbn13,
+      isbn10: isbn.isbn10,
+      provider: best.provider,
+      url: best.url,
+      bookData: toResponseBookData(req, bookData),
+      candidates
+    });
+  } catch (error) {
+    console.error('Error during ISBN lookup:', toScrapeError(error).code, error.message);
+    if (!error.candidates) {
+      return sendScrapeError(res, error);
+    }
+
+    // The search hits are still useful to let the user pick an edition
+    const { status, body } = toErrorResponse(error);
+    return res.status(status).json({ ...body, isbn: isbn.isbn13, isbn10: isbn.isbn10, candidates: error.candidates });
+  }
+});
+
+// Shop searched when the request names none
+const DEFAULT_SEARCH_PROVIDER = 'thalia';
+
+/**
+ * Reads the result page number of a search request
+ * @param {Object} req - Express request
+ * @returns {number} - The page number, starting at 1
+ */
+function getRequestedPage(req) {
+  const value = req.query.page;
+  if (value === undefined || value === '') {
+    return 1;
+  }
+
+  const page = Number(value);
+  if (!Number.isInteger(page) || page < 1) {
+    throw new InvalidOptionError(`Invalid page: ${value}`);
+  }
+  return page;
+}
+
+// Search a shop by title, author or keywords
+app.get('/api/search', async (req, res) => {
+  const query = String(req.query.q || '').trim();
+  const providerName = req.query.provider || DEFAULT_SEARCH_PROVIDER;
+
+  try {
+    if (!query) {
+      throw new InvalidOptionError('No search query provided');
+    }
+
+    const provider = getProvider(providerName);
+    if (!provider || !provider.search) {
+      throw new InvalidOptionError(`Unsupported search provider: ${providerName}`);
+    }
+
+    const page = getRequestedPage(req);
+
+    console.log(`Searching ${provider.name} for "${query}" (page ${page})`);
+    const result = await provider.search(query, { page });
+
+    return res.json({
+      success: true,
+      provider: provider.name,
+      query,
+      page: result.page,
+      hasNextPage: result.hasNextPage,
+      // Candidates keep the shop's relevance order
+      candidates: result.candidates.map((candidate, index) => ({
+        provider: provider.name,
+        rank: index + 1,
+        ...candidate
+      }))
+    });
+  } catch (error) {
+    console.error('Error during search:', toScrapeError(error).code, error.message);
+    return sendScrapeError(res, error);
+  }
+});
+
+// List the registered providers and the URL patterns they accept
+app.get('/api/providers', (req, res) => {
+  res.json({
+    success: true,
+    providers: listProviders()
+  });
+});
+
+// Browser pool statistics for monitoring the Puppeteer-based providers
+app.get('/api/browser-pool', (req, res) => {
+  res.json({
+    success: true,
+    stats: getBrowserPool().getStats()
+  });
+});
+
+// Serve stored covers in every size, and a placeholder for books without one
+app.get('/covers/:id/:size', async (req, res) => {
+  const { id, size } = req.params;
+
+  if (!Object.prototype.hasOwnProperty.call(COVER_SIZES, size)) {
+    return sendScrapeError(res, new InvalidOptionError(`Unsupported cover size: ${size}`));
+  }
+  if (!isValidCoverId(id)) {
+    return sendScrapeError(res, new InvalidOptionError(`Invalid cover ID: ${id}`));
+  }
+
+  try {
+    const cover = await coverStore.getCover(id, size);
+    if (cover && cover.file) {
+      res.set('Cache-Control', 'public, max-age=604800');
+      res.type(cover.contentType);
+      return res.sendFile(cover.file);
+    }
+
+    // The book may get a cover when it is scraped again, so placeholders are not cached for long,
+    // and not at all while the cover is still being downloaded
+    const meta = cover ? cover.meta : {};
+    res.set('Cache-Control', coverStore.isPending(id) ? 'no-store' : 'public, max-age=3600');
+    res.type('image/svg+xml');
+    return res.send(renderPlaceholderSvg({
+      title: meta.title,
+      author: meta.author,
+      size: COVER_SIZES[size] || COVER_SIZES.large
+    }));
+  } catch (error) {
+    console.error(`Error serving cover ${id}/${size}:`, error.message);
+    return res.status(500).json({ success: false, error: 'Unexpected server error' });
+  }
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ status: 'OK' });
@@ -408,32 +741,26 @@ app.post('/api/scrape-thalia', async (req, res) => {
     
     if (!url) {
       console.error('No URL provided in request');
-      return res.status(400).json({ 
-        success: false, 
-        error: 'No URL provided' 
-      });
+      return sendScrapeError(res, new InvalidUrlError('No URL provided'));
     }
 
     console.log(`Scraping Thalia URL: ${url}`);
 
     try {
-      // Validate URL
-      if (!isValidThaliaUrl(url)) {
+      // Validate URL; share links and search redirects are resolved to the article page
+      const { provider, url: productUrl } = await requireProviderForScrape(url);
+      if (provider !== thaliaProvider) {
         console.error('Invalid Thalia URL:', url);
-        return res.status(400).json({ 
-          success: false, 
-          error: 'Invalid Thalia URL' 
-        });
+        return sendScrapeError(res, new InvalidUrlError('Invalid Thalia URL'));
       }
 
       // Use the improved Thalia scraper from the module
-      const bookData = await scrapeThaliaSafe(url, {
-        maxRetries: 3,
-        validateData: true,
-        normalizeData: true,
-        fixData: true,
-        debug: true
+      const { bookData, cacheStatus } = await scrapeUrl(thaliaProvider, productUrl, {
+        refresh: isRefreshRequested(req),
+        fallback: isFallbackRequested(req),
+        mode: getRequestedMode(req)
       });
+      res.set('X-Cache', cacheStatus);
       
       // Log successful response
       console.log('Successfully scraped Thalia data:', JSON.stringify(bookData).substring(0, 200) + '...');
@@ -441,16 +768,13 @@ app.post('/api/scrape-thalia', async (req, res) => {
       // Return success response
       return res.json({ 
         success: true, 
-        bookData 
+        bookData: toResponseBookData(req, bookData)
       });
     } catch (error) {
-      console.error('Error during Thalia scraping:', error.message);
+      console.error('Error during Thalia scraping:', toScrapeError(error).code, error.message);
       
-      // Return error response
-      return res.status(500).json({ 
-        success: false, 
-        error: error.message || 'An error occurred during scraping' 
-      });
+      // Return error response with the status code of the error type
+      return sendScrapeError(res, error);
     }
   } catch (error) {
     console.error('Unexpected server error:', error);
@@ -0,0 +1,108 @@
+/**
+ * Amazon Search
+ *
+ * Reads Amazon's book search result pages and returns the products as
+ * candidates with canonical /dp/ URLs that the Amazon provider accepts.
+ */
+
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { MARKETPLACES } = require('./amazon-marketplaces');
+const { BlockedError, toScrapeError } = require('./scrape-errors');
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+/**
+ * Searches the books department of an Amazon marketplace
+ * @param {string} query - Search terms or an ISBN
+ * @param {Object} options - Search options
+ * @param {number} options.page - The result page, starting at 1
+ * @param {string} options.marketplace - The marketplace domain (default amazon.de)
+ * @returns {Promise<Object>} - { candidates, page, hasNextPage }
+ */
+async function searchAmazon(query, options = {}) {
+  const { page = 1, marketplace: domain = 'amazon.de' } = options;
+  const marketplace = MARKETPLACES.find(candidate => candidate.domain === domain) || MARKETPLACES[0];
+
+  const searchUrl = new URL(`https://www.${marketplace.domain}/s`);
+  searchUrl.searchParams.set('k', query);
+  searchUrl.searchParams.set('i', 'stripbooks');
+  if (page > 1) {
+    searchUrl.searchParams.set('page', String(page));
+  }
+
+  console.log(`Searching Amazon: ${searchUrl.href}`);
+
+  let response;
+  try {
+    response = await axios.get(searchUrl.href, {
+      headers: {
+        'User-Agent': USER_AGENT,
+        'Accept-Language': marketplace.acceptLanguage,
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
+      },
+      timeout: 15000
+    });
+  } catch (error) {
+    throw toScrapeError(error);
+  }
+
+  const html = typeof response.data === 'string' ? response.data : '';
+  if (html.includes('Robot Check') || html.includes('/errors/validateCaptcha')) {
+    throw new BlockedError('Amazon robot check detected');
+  }
+
+  const $ = cheerio.load(html);
+  return {
+    candidates: parseAmazonSearchResults($, marketplace),
+    page,
+    hasNextPage: $('.s-pagination-next').not('.s-pagination-disabled').length > 0
+  };
+}
+
+/**
+ * Extracts the products from a search result page
+ * @param {CheerioStatic} $ - Cheerio instance
+ * @param {Object} marketplace - The marketplace the page belongs to
+ * @returns {Object[]} - The candidates in page order
+ */
+function parseAmazonSearchResults($, marketplace) {
+  const candidates = [];
+
+  $('div[data-component-type="s-search-result"][data-asin]').each((i, el) => {
+    const result = $(el);
+
+    // Sponsored placements are ads, not part of the relevance ranking
+    if (result.hasClass('AdHolder') || result.find('.puis-sponsored-label-text, .s-sponsored-label-text').length) {
+      return;
+    }
+
+    const asin = (result.attr('data-asin') || '').toUpperCase();
+    const title = result.find('h2').first().text().replace(/\s+/g, ' ').trim();
+    if (!asin || !title) {
+      return;
+    }
+
+    // The byline reads "von Matt Haig und Sabine Hübner | 1. März 2022"
+    const byline = result.find('.a-row.a-size-base.a-color-secondary').first().text().replace(/\s+/g, ' ').trim();
+    const authorMatch = byline.match(/^(?:von|by|de|di|door)\s+([^|]+)/i);
+
+    candidates.push({
+      id: asin,
+      url: `https://www.${marketplace.domain}/dp/${asin}`,
+      title,
+      author: authorMatch ? authorMatch[1].trim() : '',
+      thumbnailUrl: result.find('img.s-image').attr('src') || '',
+      format: result.find('a.a-text-bold').first().text().trim(),
+      price: result.find('.a-price .a-offscreen').first().text().trim(),
+      currency: marketplace.currency
+    });
+  });
+
+  return candidates;
+}
+
+module.exports = {
+  searchAmazon,
+  parseAmazonSearchResults
+};
@@ -0,0 +1,120 @@
+/**
+ * Amazon URL Canonicalization
+ *
+ * Turns the many shapes of Amazon links users share (short links, mobile
+ * links, old /exec/obidos/ links, slugged links with ref and affiliate
+ * parameters) into the canonical https://www.amazon.<tld>/dp/<ASIN> form.
+ * The canonical URL carries no query parameters, so tracking and affiliate
+ * parameters like tag, ref or utm_* are dropped.
+ */
+
+const { getMarketplaceForUrl } = require('./amazon-marketplaces');
+const { followRedirects } = require('./url-resolver');
+const { InvalidUrlError, UnsupportedHostError } = require('./scrape-errors');
+
+// Hosts of Amazon's link shorteners, resolved by following their redirects
+const AMAZON_SHORT_LINK_HOSTS = ['amzn.to', 'amzn.eu', 'amzn.asia', 'amzn.com', 'a.co'];
+
+// Path shapes that carry an ASIN (books use their ISBN-10 as ASIN, which may end in X)
+const ASIN_PATH_PATTERNS = [
+  /\/dp\/(?:product\/)?([A-Z0-9]{10})(?=\/|$)/i,
+  /\/gp\/product\/([A-Z0-9]{10})(?=\/|$)/i,
+  /\/gp\/aw\/d\/([A-Z0-9]{10})(?=\/|$)/i,
+  /\/gp\/offer-listing\/([A-Z0-9]{10})(?=\/|$)/i,
+  /\/exec\/obidos\/(?:ASIN|tg\/detail\/-)\/([A-Z0-9]{10})(?=\/|$)/i,
+  /\/o\/ASIN\/([A-Z0-9]{10})(?=\/|$)/i
+];
+
+const ASIN_PATTERN = /^[A-Z0-9]{10}$/i;
+
+/**
+ * Checks whether a host is one of Amazon's link shorteners
+ * @param {string} hostname - The host name
+ * @returns {boolean} - Whether the host is a short link host
+ */
+function isAmazonShortLinkHost(hostname) {
+  const host = hostname.toLowerCase().replace(/^www\./, '');
+  return AMAZON_SHORT_LINK_HOSTS.includes(host);
+}
+
+/**
+ * Extracts the ASIN from an Amazon URL
+ * @param {string} url - The Amazon URL
+ * @returns {string|null} - The upper-case ASIN or null if not found
+ */
+function extractAsinFromUrl(url) {
+  try {
+    const urlObj = new URL(url);
+
+    for (const pattern of ASIN_PATH_PATTERNS) {
+      const match = urlObj.pathname.match(pattern);
+      if (match) {
+        return match[1].toUpperCase();
+      }
+    }
+
+    // Some links only carry the ASIN as a query parameter (?asin=... or ?ASIN=...)
+    for (const [name, value] of urlObj.searchParams) {
+      if (name.toLowerCase() === 'asin' && ASIN_PATTERN.test(value)) {
+        return value.toUpperCase();
+      }
+    }
+
+    return null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Builds the canonical product URL without any network access
+ * @param {string} url - An Amazon product URL on a supported marketplace
+ * @returns {Object|null} - { url, asin, marketplace } or null if the URL is not a product URL
+ */
+function canonicalizeAmazonUrl(url) {
+  const marketplace = getMarketplaceForUrl(url);
+  const asin = extractAsinFromUrl(url);
+
+  if (!marketplace || !asin) {
+    return null;
+  }
+
+  return {
+    url: `https://www.${marketplace.domain}/dp/${asin}`,
+    asin,
+    marketplace: marketplace.domain
+  };
+}
+
+/**
+ * Resolves short links and canonicalizes the resulting product URL
+ * @param {string} url - Any Amazon link
+ * @returns {Promise<Object>} - { url, asin, marketplace, redirects }
+ */
+async function resolveAmazonUrl(url) {
+  const resolved = await followRedirects(url, {
+    shouldFollow: urlObj => isAmazonShortLinkHost(urlObj.hostname)
+  });
+
+  if (!getMarketplaceForUrl(resolved.url)) {
+    throw new UnsupportedHostError(`Unsupported host: ${new URL(resolved.url).hostname}`);
+  }
+
+  const canonical = canonicalizeAmazonUrl(resolved.url);
+  if (!canonical) {
+    throw new InvalidUrlError(`No ASIN found in ${resolved.url}`);
+  }
+
+  return {
+    ...canonical,
+    redirects: resolved.redirects
+  };
+}
+
+module.exports = {
+  AMAZON_SHORT_LINK_HOSTS,
+  isAmazonShortLinkHost,
+  extractAsinFromUrl,
+  canonicalizeAmazonUrl,
+  resolveAmazonUrl
+};
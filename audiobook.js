@@ -0,0 +1,157 @@
+/**
+ * Audiobook Details
+ *
+ * Reads the running time ("5 Std. und 12 Min.", "312 Minuten", "05:12:00",
+ * "5 hrs and 12 mins"), the abridged/unabridged flag ("Ungekürzte Lesung",
+ * "Unabridged") and the number of discs ("4 Audio-CDs") of audiobooks in
+ * every marketplace language.
+ */
+
+const { getFormatType } = require('./formats');
+
+// Units of a running time in every marketplace language, lower case
+const HOUR_UNITS = '(?:std|stunden?|h|hrs?|hours?|heures?|ore|ora|horas?|uur)';
+const MINUTE_UNITS = '(?:min|minuten?|mins?|minutes?|minuti|minutos?)';
+
+const HOURS_PATTERN = new RegExp(`(\\d+)\\s*${HOUR_UNITS}\\b`, 'i');
+const MINUTES_PATTERN = new RegExp(`(\\d+)\\s*${MINUTE_UNITS}\\b`, 'i');
+const CLOCK_PATTERN = /\b(\d{1,3}):(\d{2})(?::(\d{2}))?\b/;
+
+// Version texts of every marketplace language, lower case
+const UNABRIDGED_TEXTS = [
+  'ungekürzt', 'ungekuerzt', 'vollständige lesung', 'unabridged', 'intégral', 'integrale', 'íntegro', 'íntegra',
+  'integra', 'completa', 'onverkort'
+];
+const ABRIDGED_TEXTS = [
+  'gekürzt', 'gekuerzt', 'abridged', 'abrégé', 'ridotto', 'ridotta', 'abreviado', 'abreviada', 'resumido', 'resumida',
+  'verkort'
+];
+
+/**
+ * Builds a pattern that finds version texts as whole words, with their
+ * inflected endings ("Ungekürzte Lesung", "gekürzte Fassung", "abrégée")
+ * @param {string[]} texts - The version texts
+ * @returns {RegExp} - The pattern
+ */
+function buildVersionPattern(texts) {
+  return new RegExp(`(?<!\\p{L})(?:${texts.join('|')})(?:e|er|es|en|a|o)?(?!\\p{L})`, 'iu');
+}
+
+// Whole words, so "abridged" is not found in "unabridged" nor "integra" in "integral"
+const UNABRIDGED_PATTERN = buildVersionPattern(UNABRIDGED_TEXTS);
+const ABRIDGED_PATTERN = buildVersionPattern(ABRIDGED_TEXTS);
+
+// "4 Audio-CDs", "6 CDs", "2 MP3-CDs", "3 disques", "Anzahl: 4"
+const DISC_COUNT_PATTERN = /(\d+)\s*(?:x\s*)?(?:audio-?|mp3-?)?(?:cds?|discs?|disques?|dischi|discos?|schijven)\b/i;
+
+/**
+ * Parses a running time
+ * @param {string|number} value - e.g. "5 Std. und 12 Min.", "312 Minuten", "05:12:00" or 312
+ * @returns {number|null} - The running time in whole minutes, or null if none was found
+ */
+function parseDuration(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? Math.round(value) : null;
+  }
+
+  const text = String(value || '').replace(/\s+/g, ' ').trim();
+  if (!text) {
+    return null;
+  }
+
+  // schema.org durations such as "PT5H12M"
+  const isoMatch = text.match(/^PT(?:(\d+)H)?(?:(\d+)M)?(?:\d+S)?$/i);
+  if (isoMatch && (isoMatch[1] || isoMatch[2])) {
+    return parseInt(isoMatch[1] || '0', 10) * 60 + parseInt(isoMatch[2] || '0', 10);
+  }
+
+  const hoursMatch = text.match(HOURS_PATTERN);
+  const minutesMatch = text.match(MINUTES_PATTERN);
+  if (hoursMatch || minutesMatch) {
+    return parseInt(hoursMatch ? hoursMatch[1] : '0', 10) * 60 + parseInt(minutesMatch ? minutesMatch[1] : '0', 10);
+  }
+
+  // "05:12:00" is hours, minutes and seconds; "312:00" is minutes and seconds
+  const clockMatch = text.match(CLOCK_PATTERN);
+  if (clockMatch) {
+    return clockMatch[3]
+      ? parseInt(clockMatch[1], 10) * 60 + parseInt(clockMatch[2], 10)
+      : parseInt(clockMatch[1], 10);
+  }
+
+  return null;
+}
+
+/**
+ * Reads whether a version text describes an abridged reading. Only version
+ * and format fields are meant to be passed: titles such as "Die gekürzte
+ * Fassung der Geschichte" would be misread.
+ * @param {...string|boolean} texts - e.g. "Ungekürzte Lesung", "Abridged" or the format label "Hörbuch, gekürzt"
+ * @returns {boolean|null} - true for abridged, false for unabridged, null if no text says
+ */
+function parseAbridged(...texts) {
+  for (const text of texts) {
+    // schema.org abridged is already a boolean
+    if (typeof text === 'boolean') {
+      return text;
+    }
+
+    const value = String(text || '');
+    if (UNABRIDGED_PATTERN.test(value)) {
+      return false;
+    }
+    if (ABRIDGED_PATTERN.test(value)) {
+      return true;
+    }
+  }
+  return null;
+}
+
+/**
+ * Reads the number of discs of an audio CD
+ * @param {...string} texts - e.g. "4", "4 Audio-CDs" or "Audio-CD, 6 CDs"
+ * @returns {number|null} - The number of discs or null if no text names it
+ */
+function parseDiscCount(...texts) {
+  for (const text of texts) {
+    const value = String(text || '').trim();
+    const match = /^\d+$/.test(value) ? [value, value] : value.match(DISC_COUNT_PATTERN);
+    if (match && parseInt(match[1], 10) > 0) {
+      return parseInt(match[1], 10);
+    }
+  }
+  return null;
+}
+
+/**
+ * Turns the raw running time, version and disc texts of an audiobook into
+ * values. The fields are always present and null (narrators empty) for
+ * products that are not audiobooks.
+ * @param {Object} bookData - Book data with format, formatLabel, contributors and the raw duration, abridged and discCount texts
+ * @returns {Object} - The book data with durationMinutes, narrators, abridged and discCount
+ */
+function normalizeAudiobook(bookData) {
+  const { duration, ...rest } = bookData;
+
+  if (getFormatType(bookData.format) !== 'audiobook') {
+    return { ...rest, durationMinutes: null, narrators: [], abridged: null, discCount: null };
+  }
+
+  return {
+    ...rest,
+    durationMinutes: parseDuration(duration),
+    narrators: (bookData.contributors || [])
+      .filter(contributor => contributor.role === 'narrator')
+      .map(contributor => contributor.name),
+    abridged: parseAbridged(bookData.abridged, bookData.formatLabel),
+    // Downloads have no discs; a CD without a count is a single disc
+    discCount: bookData.format === 'audio_cd' ? parseDiscCount(bookData.discCount, bookData.formatLabel) || 1 : null
+  };
+}
+
+module.exports = {
+  parseDuration,
+  parseAbridged,
+  parseDiscCount,
+  normalizeAudiobook
+};
@@ -0,0 +1,214 @@
+/**
+ * Author Name Normalization
+ *
+ * Splits bylines into individual names ("A und B", "A, B & C", "Martin,
+ * Pierre"), turns inverted names into display form and builds the sort form
+ * ("Martin, Pierre", "Goethe, Johann Wolfgang von"). Names from different
+ * sources are compared by a key that ignores case, accents and punctuation,
+ * so "J.K. Rowling" and "J. K. Rowling" count as one author.
+ */
+
+// Name particles that belong to the surname but are not sorted by
+const NAME_PARTICLES = [
+  'von', 'vom', 'zu', 'zum', 'zur', 'van', 'der', 'den', 'de', 'del', 'della', 'degli', 'di', 'da', 'dos', 'das',
+  'du', 'des', 'le', 'la', 'ten', 'ter', 'te', "d'", "l'"
+];
+
+// Generational suffixes kept at the end of the sort form
+const NAME_SUFFIXES = ['jr', 'jr.', 'sr', 'sr.', 'ii', 'iii', 'iv'];
+
+// Scripts that write the family name first, so the name is already in sort order
+const FAMILY_NAME_FIRST_SCRIPTS = /[\u3040-\u30ff\u3400-\u9fff\uf900-\ufaff\uac00-\ud7af]/;
+
+// Words joining the names of several authors
+const NAME_LIST_SEPARATOR = /\s*;\s*|\s+(?:und|and|et|&)\s+|\s*&\s*/i;
+
+// A capitalized name of 2-4 words in any script, allowing particles, hyphens, apostrophes and initials
+const NAME_PATTERN = "\\p{Lu}[\\p{L}\\p{M}'’.-]*(?:\\s+(?:(?:von|van|de|der|den|di|da|du|le|la|zu)\\s+)?\\p{Lu}[\\p{L}\\p{M}'’.-]*){1,3}";
+
+/**
+ * Checks whether a word is a name particle
+ * @param {string} word - The word
+ * @returns {boolean} - Whether the word is a particle such as "von" or "de"
+ */
+function isParticle(word) {
+  return NAME_PARTICLES.includes(word.toLowerCase());
+}
+
+/**
+ * Cleans whitespace and fixes all-caps names ("PIERRE MARTIN" → "Pierre Martin")
+ * @param {string} name - The raw name
+ * @returns {string} - The cleaned name
+ */
+function cleanName(name) {
+  const cleaned = String(name || '').normalize('NFC').replace(/\s+/g, ' ').replace(/^[\s,;]+|[\s,;]+$/g, '');
+
+  // Shops sometimes print names in capitals; particles stay lower case
+  if (/\p{Lu}{2}/u.test(cleaned) && cleaned === cleaned.toUpperCase() && cleaned !== cleaned.toLowerCase()) {
+    return cleaned
+      .toLowerCase()
+      .replace(/(^|[\s'’-])(\p{L})/gu, (match, prefix, letter) => prefix + letter.toUpperCase())
+      .split(' ')
+      .map((word, index) => (index > 0 && isParticle(word) ? word.toLowerCase() : word))
+      .join(' ');
+  }
+  return cleaned;
+}
+
+/**
+ * Checks whether a comma-separated part can be the surname of an inverted name
+ * @param {string} part - e.g. "Martin", "von Goethe" or "Saint-Exupéry"
+ * @returns {boolean} - Whether the part is a single surname
+ */
+function isSurnamePart(part) {
+  const words = part.split(' ');
+  return words.length > 0 && words.slice(0, -1).every(isParticle) && !isParticle(words[words.length - 1]);
+}
+
+/**
+ * Checks whether a comma-separated part can be the given names of an inverted name
+ * @param {string} part - e.g. "Pierre" or "Johann Wolfgang"
+ * @returns {boolean} - Whether the part looks like given names
+ */
+function isGivenNamesPart(part) {
+  const words = part.split(' ').filter(word => !isParticle(word));
+  return words.length >= 1 && words.length <= 3 && !NAME_SUFFIXES.includes(part.toLowerCase());
+}
+
+/**
+ * Splits a byline into individual names in display form
+ * @param {string} text - e.g. "Anna Schmidt und Tom Müller", "A, B & C" or "Martin, Pierre"
+ * @returns {string[]} - The names, e.g. ["Pierre Martin"]
+ */
+function splitAuthorNames(text) {
+  const names = [];
+
+  for (const group of String(text || '').split(NAME_LIST_SEPARATOR)) {
+    const parts = group.split(',').map(cleanName).filter(Boolean);
+
+    // "Nachname, Vorname" pairs, possibly several in a row ("Martin, Pierre, Haig, Matt")
+    const inverted = parts.length % 2 === 0 && parts.every((part, index) =>
+      index % 2 === 0 ? isSurnamePart(part) : isGivenNamesPart(part)
+    );
+
+    if (inverted) {
+      for (let i = 0; i < parts.length; i += 2) {
+        names.push(toDisplayName(parts[i], parts[i + 1]));
+      }
+    } else {
+      for (const part of parts) {
+        // "King, Jr." is one name with a suffix, not two names
+        if (NAME_SUFFIXES.includes(part.toLowerCase()) && names.length > 0) {
+          names[names.length - 1] += ` ${part}`;
+        } else {
+          names.push(part);
+        }
+      }
+    }
+  }
+
+  return names;
+}
+
+/**
+ * Joins an inverted name in display order
+ * @param {string} surname - e.g. "von Goethe"
+ * @param {string} givenNames - e.g. "Johann Wolfgang"
+ * @returns {string} - e.g. "Johann Wolfgang von Goethe"
+ */
+function toDisplayName(surname, givenNames) {
+  // "Goethe, Johann Wolfgang von" keeps the particle after the given names
+  const givenWords = givenNames.split(' ');
+  const trailingParticles = [];
+  while (givenWords.length > 1 && isParticle(givenWords[givenWords.length - 1])) {
+    trailingParticles.unshift(givenWords.pop());
+  }
+  return [...givenWords, ...trailingParticles, surname].join(' ');
+}
+
+/**
+ * Builds the sort form of a name in display form
+ * @param {string} name - e.g. "Johann Wolfgang von Goethe"
+ * @returns {string} - e.g. "Goethe, Johann Wolfgang von"
+ */
+function toSortName(name) {
+  if (FAMILY_NAME_FIRST_SCRIPTS.test(name)) {
+    return name;
+  }
+
+  const words = name.split(' ');
+  const suffix = words.length > 2 && NAME_SUFFIXES.includes(words[words.length - 1].toLowerCase())
+    ? words.pop()
+    : '';
+  if (words.length < 2) {
+    return name;
+  }
+
+  const surname = words.pop();
+  const particles = [];
+  while (words.length > 1 && isParticle(words[words.length - 1])) {
+    particles.unshift(words.pop());
+  }
+
+  const sortName = `${surname}, ${[...words, ...particles].join(' ')}`;
+  return suffix ? `${sortName}, ${suffix}` : sortName;
+}
+
+/**
+ * Builds the key two spellings of the same name share
+ * @param {string} name - The name in display form
+ * @returns {string} - Lower case letters without accents, spaces or punctuation
+ */
+function getNameKey(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+/**
+ * Normalizes a single name
+ * @param {string} name - The name in display or inverted form
+ * @returns {Object|null} - { name, sortName } or null if the name is empty
+ */
+function normalizeAuthorName(name) {
+  const [displayName] = splitAuthorNames(name);
+  if (!displayName) {
+    return null;
+  }
+  return { name: displayName, sortName: toSortName(displayName) };
+}
+
+/**
+ * Splits and normalizes the bylines of one or more sources, keeping the
+ * first spelling of each author
+ * @param {...string|string[]} sources - Bylines or lists of names
+ * @returns {Object[]} - The authors as { name, sortName }
+ */
+function normalizeAuthorNames(...sources) {
+  const authors = [];
+  const seen = new Set();
+
+  for (const source of sources.flat()) {
+    for (const name of splitAuthorNames(source)) {
+      const key = getNameKey(name);
+      if (key && !seen.has(key)) {
+        seen.add(key);
+        authors.push({ name, sortName: toSortName(name) });
+      }
+    }
+  }
+
+  return authors;
+}
+
+module.exports = {
+  NAME_PARTICLES,
+  NAME_PATTERN,
+  splitAuthorNames,
+  toSortName,
+  getNameKey,
+  normalizeAuthorName,
+  normalizeAuthorNames
+};
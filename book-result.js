@@ -0,0 +1,105 @@
+/**
+ * Book Result Semantics
+ *
+ * Marks which fields of a scrape were actually extracted and which are
+ * missing, instead of papering over gaps with made-up values. Fallback
+ * values are only applied when the client asks for them, and are listed
+ * separately so they are never mistaken for real data.
+ */
+
+// Without a title there is nothing worth saving
+const REQUIRED_FIELDS = ['title'];
+
+// Fields a complete result is expected to have
+const EXPECTED_FIELDS = [
+  'title',
+  'author',
+  'description',
+  'coverUrl',
+  'publisher',
+  'publicationDate'
+];
+
+/**
+ * Checks whether a field value counts as extracted
+ * @param {*} value - The field value
+ * @returns {boolean} - Whether the value is present
+ */
+function hasValue(value) {
+  if (value === null || value === undefined) {
+    return false;
+  }
+  if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+  return value.toString().trim() !== '';
+}
+
+/**
+ * Annotates book data with its completeness
+ * @param {Object} bookData - The extracted book data
+ * @returns {Object} - The book data with status ('complete', 'partial' or 'failed') and missingFields
+ */
+function assessBookData(bookData) {
+  const missingFields = EXPECTED_FIELDS.filter(field => !hasValue(bookData[field]));
+  const missingRequired = REQUIRED_FIELDS.some(field => missingFields.includes(field));
+
+  let status = 'complete';
+  if (missingRequired) {
+    status = 'failed';
+  } else if (missingFields.length > 0) {
+    status = 'partial';
+  }
+
+  return {
+    ...bookData,
+    status,
+    missingFields
+  };
+}
+
+/**
+ * Fills missing fields with fallback values. The status is left untouched and
+ * the filled fields are listed in fallbackFields.
+ * @param {Object} bookData - Book data annotated by assessBookData()
+ * @param {Object} fallbackValues - Values to use for missing fields
+ * @returns {Object} - The book data with fallback values applied
+ */
+function applyFallbackValues(bookData, fallbackValues) {
+  const result = { ...bookData };
+  const fallbackFields = [];
+
+  for (const [field, value] of Object.entries(fallbackValues)) {
+    if (!hasValue(result[field]) && hasValue(value)) {
+      result[field] = value;
+      fallbackFields.push(field);
+    }
+  }
+
+  result.fallbackFields = fallbackFields;
+  return result;
+}
+
+/**
+ * Builds the result of a scrape that could not fetch the page at all, for
+ * clients that asked for fallback values
+ * @param {ScrapeError} error - Why the scrape failed
+ * @returns {Object} - Book data with status 'failed', every expected field missing and the scrapeError
+ */
+function failedBookData(error) {
+  return {
+    status: 'failed',
+    missingFields: [...EXPECTED_FIELDS],
+    publicationDateISO: null,
+    publicationDatePrecision: null,
+    scrapeError: { errorCode: error.code, error: error.message }
+  };
+}
+
+module.exports = {
+  REQUIRED_FIELDS,
+  EXPECTED_FIELDS,
+  assessBookData,
+  applyFallbackValues,
+  failedBookData
+};
@@ -0,0 +1,485 @@
+/**
+ * Shared Puppeteer Browser Pool
+ *
+ * Launching Chromium for every scrape costs several seconds and a lot of
+ * memory on small instances. The pool keeps a bounded number of browsers
+ * alive, hands out pages from them, reuses pages between scrapes and
+ * replaces browsers that crash or disconnect.
+ */
+
+const puppeteer = require('puppeteer');
+
+// Browser arguments shared by every pooled browser
+const DEFAULT_BROWSER_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-infobars',
+  '--window-position=0,0',
+  '--ignore-certificate-errors',
+  '--ignore-certificate-errors-spki-list',
+  '--disable-features=IsolateOrigins,site-per-process',
+  '--disable-dev-shm-usage',
+  '--disable-accelerated-2d-canvas',
+  '--no-first-run',
+  '--disable-gpu'
+];
+
+/**
+ * Reads a positive integer from an environment variable
+ * @param {string} name - The environment variable name
+ * @param {number} fallback - Value to use if the variable is missing or invalid
+ * @returns {number} - The parsed value
+ */
+function readIntEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Returns the origin of an http(s) URL
+ * @param {string} url - The page URL
+ * @returns {string|null} - The origin, or null for about:blank and other non-web URLs
+ */
+function getHttpOrigin(url) {
+  try {
+    const parsed = new URL(url);
+    return /^https?:$/.test(parsed.protocol) ? parsed.origin : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+class BrowserPool {
+  /**
+   * @param {Object} options - Pool options
+   * @param {number} options.maxBrowsers - Maximum number of browsers kept alive
+   * @param {number} options.maxPagesPerBrowser - Maximum number of open pages per browser
+   * @param {number} options.maxPageUses - Number of scrapes after which a page is recycled
+   * @param {number} options.acquireTimeout - Time to wait for a free page in milliseconds
+   * @param {Object} options.launchOptions - Extra options for puppeteer.launch
+   */
+  constructor(options = {}) {
+    const {
+      maxBrowsers = 1,
+      maxPagesPerBrowser = 2,
+      maxPageUses = 20,
+      acquireTimeout = 60000,
+      launchOptions = {}
+    } = options;
+
+    this.maxBrowsers = maxBrowsers;
+    this.maxPagesPerBrowser = maxPagesPerBrowser;
+    this.maxPageUses = maxPageUses;
+    this.acquireTimeout = acquireTimeout;
+    this.launchOptions = launchOptions;
+
+    this.browsers = [];   // Browser entries: { id, browser, pages: Map<page, uses>, busy: Set<page>, idle: page[] }
+    this.launching = 0;   // Browsers currently being launched
+    this.waiting = [];    // Pending acquirePage() calls
+    this.nextBrowserId = 1;
+    this.closed = false;
+
+    this.counters = {
+      browsersLaunched: 0,
+      browserRestarts: 0,
+      pagesCreated: 0,
+      pagesReused: 0,
+      pagesRecycled: 0,
+      acquireTimeouts: 0
+    };
+  }
+
+  /**
+   * Borrows a page from the pool, launching a browser if needed
+   * @returns {Promise<Page>} - A Puppeteer page that must be returned with releasePage()
+   */
+  async acquirePage() {
+    if (this.closed) {
+      throw new Error('Browser pool has been closed');
+    }
+
+    const page = await this.tryAcquirePage();
+    if (page) {
+      return page;
+    }
+    if (this.closed) {
+      throw new Error('Browser pool has been closed');
+    }
+
+    // Every page is busy, wait for one to be released
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, deadline: Date.now() + this.acquireTimeout };
+      this.startWaiterTimer(waiter);
+      this.waiting.push(waiter);
+    });
+  }
+
+  /**
+   * Rejects a waiting caller once its deadline has passed. The deadline is
+   * fixed when the caller starts waiting and the timer keeps running while a
+   * page is being acquired for it, so neither a slow launch nor being put
+   * back in the queue extends it.
+   * @param {Object} waiter - { resolve, reject, deadline } from acquirePage()
+   */
+  startWaiterTimer(waiter) {
+    waiter.timer = setTimeout(() => {
+      this.waiting = this.waiting.filter(w => w !== waiter);
+      if (this.settleWaiter(waiter)) {
+        this.counters.acquireTimeouts++;
+        waiter.reject(new Error(`Timed out after ${this.acquireTimeout}ms waiting for a browser page`));
+      }
+    }, Math.max(0, waiter.deadline - Date.now()));
+  }
+
+  /**
+   * Marks a waiting caller as answered
+   * @param {Object} waiter - The waiter from acquirePage()
+   * @returns {boolean} - False if the caller was already answered, e.g. by its timeout
+   */
+  settleWaiter(waiter) {
+    if (waiter.settled) {
+      return false;
+    }
+    waiter.settled = true;
+    clearTimeout(waiter.timer);
+    return true;
+  }
+
+  /**
+   * Tries to get a page without waiting
+   * @returns {Promise<Page|null>} - A page or null if the pool is at capacity
+   */
+  async tryAcquirePage() {
+    // Reuse an idle page first
+    for (const entry of this.browsers) {
+      const page = entry.idle.pop();
+      if (page) {
+        entry.busy.add(page);
+        entry.pages.set(page, entry.pages.get(page) + 1);
+        this.counters.pagesReused++;
+        return page;
+      }
+    }
+
+    // Open a new page in a browser that still has room
+    const entry = this.browsers.find(b => b.pages.size < this.maxPagesPerBrowser);
+    if (entry) {
+      return this.openPage(entry);
+    }
+
+    // Launch another browser if we are below the limit
+    if (this.browsers.length + this.launching < this.maxBrowsers) {
+      const newEntry = await this.launchBrowser();
+      if (newEntry.pages.size < this.maxPagesPerBrowser) {
+        return this.openPage(newEntry);
+      }
+      // Concurrent callers filled the new browser while we were launching it
+      return this.tryAcquirePage();
+    }
+
+    return null;
+  }
+
+  /**
+   * Opens a new page in a pooled browser. Every page gets its own incognito
+   * context, so cookies and storage are never shared between scrapes that
+   * run at the same time.
+   * @param {Object} entry - The browser entry
+   * @returns {Promise<Page>} - The new page
+   */
+  async openPage(entry) {
+    // Reserve the slot before awaiting so concurrent callers see it as taken
+    const placeholder = {};
+    entry.pages.set(placeholder, 1);
+
+    try {
+      const context = await entry.browser.createIncognitoBrowserContext();
+      let page;
+      try {
+        page = await context.newPage();
+      } catch (error) {
+        await context.close().catch(() => {});
+        throw error;
+      }
+      entry.pages.set(page, 1);
+      entry.busy.add(page);
+      this.counters.pagesCreated++;
+      return page;
+    } finally {
+      entry.pages.delete(placeholder);
+    }
+  }
+
+  /**
+   * Launches a new browser and adds it to the pool
+   * @returns {Promise<Object>} - The browser entry
+   */
+  async launchBrowser() {
+    this.launching++;
+
+    try {
+      const browser = await puppeteer.launch({
+        headless: 'new',
+        args: DEFAULT_BROWSER_ARGS,
+        ...this.launchOptions
+      });
+
+      const entry = {
+        id: this.nextBrowserId++,
+        browser,
+        // Restored on reused pages, scrapers set their own
+        userAgent: await browser.userAgent(),
+        pages: new Map(),
+        busy: new Set(),
+        idle: []
+      };
+
+      // Drop crashed or disconnected browsers so the next request launches a replacement
+      browser.on('disconnected', () => this.handleDisconnect(entry));
+
+      this.browsers.push(entry);
+      this.counters.browsersLaunched++;
+      console.log(`Browser pool: launched browser #${entry.id} (${this.browsers.length}/${this.maxBrowsers})`);
+
+      // Give the spare pages of the new browser to callers that are already waiting
+      this.serveWaiters();
+      return entry;
+    } finally {
+      this.launching--;
+    }
+  }
+
+  /**
+   * Removes a browser from the pool after it crashed or disconnected
+   * @param {Object} entry - The browser entry
+   */
+  handleDisconnect(entry) {
+    if (!this.browsers.includes(entry)) {
+      return;
+    }
+
+    this.browsers = this.browsers.filter(b => b !== entry);
+
+    if (!this.closed) {
+      console.warn(`Browser pool: browser #${entry.id} disconnected, it will be replaced on demand`);
+      this.counters.browserRestarts++;
+      this.serveWaiters();
+    }
+  }
+
+  /**
+   * Returns a page to the pool
+   * @param {Page} page - The page obtained from acquirePage()
+   * @param {Object} options - Release options
+   * @param {boolean} options.destroy - Close the page instead of reusing it
+   * @returns {Promise<void>}
+   */
+  async releasePage(page, options = {}) {
+    const { destroy = false } = options;
+    const entry = this.browsers.find(b => b.pages.has(page));
+
+    // The browser crashed while the page was in use
+    if (!entry) {
+      await this.closePage(page);
+      this.serveWaiters();
+      return;
+    }
+
+    entry.busy.delete(page);
+    const uses = entry.pages.get(page);
+    let reusable = !destroy && !this.closed && !page.isClosed() && uses < this.maxPageUses;
+
+    if (reusable) {
+      try {
+        await this.resetPage(page, entry);
+      } catch (error) {
+        console.warn('Browser pool: could not reset page, recycling it:', error.message);
+        reusable = false;
+      }
+    }
+
+    if (reusable) {
+      entry.idle.push(page);
+    } else {
+      entry.pages.delete(page);
+      this.counters.pagesRecycled++;
+      await this.closePage(page);
+    }
+
+    this.serveWaiters();
+  }
+
+  /**
+   * Clears per-scrape state from a page before it is reused: listeners,
+   * request interception, headers, the user agent, cookies and the storage
+   * of the last visited site
+   * @param {Page} page - The page to reset
+   * @param {Object} entry - The browser entry the page belongs to
+   * @returns {Promise<void>}
+   */
+  async resetPage(page, entry) {
+    page.removeAllListeners('request');
+    await page.setRequestInterception(false);
+    await page.setExtraHTTPHeaders({});
+    await page.setUserAgent(entry.userAgent);
+
+    const session = await page.target().createCDPSession();
+    try {
+      // Cookies of the page's own incognito context
+      await session.send('Network.clearBrowserCookies');
+      const origin = getHttpOrigin(page.url());
+      if (origin) {
+        await session.send('Storage.clearDataForOrigin', {
+          origin,
+          storageTypes: 'local_storage,session_storage,indexeddb,websql,cache_storage,service_workers'
+        });
+      }
+    } finally {
+      await session.detach().catch(() => {});
+    }
+
+    await page.goto('about:blank');
+  }
+
+  /**
+   * Closes a page and its incognito context, ignoring errors from already
+   * closed pages
+   * @param {Page} page - The page to close
+   * @returns {Promise<void>}
+   */
+  async closePage(page) {
+    try {
+      await page.browserContext().close();
+    } catch (error) {
+      // The page or browser is already gone
+    }
+  }
+
+  /**
+   * Hands freed capacity to callers waiting in acquirePage(), one after another
+   * until the queue is empty or the pool is at capacity
+   */
+  serveWaiters() {
+    if (this.waiting.length === 0) {
+      return;
+    }
+
+    // The waiter's timer keeps running while its page is acquired
+    const waiter = this.waiting.shift();
+
+    this.tryAcquirePage()
+      .then(page => {
+        if (!page) {
+          // Someone else took the capacity, keep waiting at the front of the queue until the deadline
+          if (!waiter.settled) {
+            this.waiting.unshift(waiter);
+          }
+          return;
+        }
+
+        if (this.settleWaiter(waiter)) {
+          waiter.resolve(page);
+          this.serveWaiters();
+        } else {
+          // The caller timed out during the acquire, the page goes to the next one
+          this.releasePage(page).catch(() => {});
+        }
+      })
+      .catch(error => {
+        if (this.settleWaiter(waiter)) {
+          waiter.reject(error);
+        }
+        // A failed launch or page must not strand the callers behind this one
+        this.serveWaiters();
+      });
+  }
+
+  /**
+   * Runs a function with a pooled page and returns the page afterwards.
+   * Pages are destroyed instead of reused if the function throws.
+   * @param {Function} fn - Async function receiving the page
+   * @returns {Promise<*>} - The function's result
+   */
+  async withPage(fn) {
+    const page = await this.acquirePage();
+    let failed = false;
+
+    try {
+      return await fn(page);
+    } catch (error) {
+      failed = true;
+      throw error;
+    } finally {
+      await this.releasePage(page, { destroy: failed });
+    }
+  }
+
+  /**
+   * Returns pool statistics
+   * @returns {Object} - Current pool size, page usage and lifetime counters
+   */
+  getStats() {
+    let busyPages = 0;
+    let idlePages = 0;
+
+    for (const entry of this.browsers) {
+      busyPages += entry.busy.size;
+      idlePages += entry.idle.length;
+    }
+
+    return {
+      maxBrowsers: this.maxBrowsers,
+      maxPagesPerBrowser: this.maxPagesPerBrowser,
+      maxPageUses: this.maxPageUses,
+      browsers: this.browsers.length,
+      launching: this.launching,
+      busyPages,
+      idlePages,
+      waiting: this.waiting.length,
+      ...this.counters
+    };
+  }
+
+  /**
+   * Closes every browser in the pool and rejects pending callers
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.closed = true;
+
+    for (const waiter of this.waiting) {
+      if (this.settleWaiter(waiter)) {
+        waiter.reject(new Error('Browser pool has been closed'));
+      }
+    }
+    this.waiting = [];
+
+    const entries = this.browsers;
+    this.browsers = [];
+    await Promise.all(entries.map(entry => entry.browser.close().catch(() => {})));
+  }
+}
+
+let sharedPool = null;
+
+/**
+ * Returns the shared browser pool, creating it on first use.
+ * Size is configured with BROWSER_POOL_SIZE, BROWSER_POOL_PAGES and BROWSER_POOL_PAGE_USES.
+ * @returns {BrowserPool} - The shared pool
+ */
+function getBrowserPool() {
+  if (!sharedPool) {
+    sharedPool = new BrowserPool({
+      maxBrowsers: readIntEnv('BROWSER_POOL_SIZE', 1),
+      maxPagesPerBrowser: readIntEnv('BROWSER_POOL_PAGES', 2),
+      maxPageUses: readIntEnv('BROWSER_POOL_PAGE_USES', 20),
+      acquireTimeout: readIntEnv('BROWSER_POOL_ACQUIRE_TIMEOUT', 60000)
+    });
+  }
+  return sharedPool;
+}
+
+module.exports = {
+  BrowserPool,
+  getBrowserPool
+};
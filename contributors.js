@@ -0,0 +1,161 @@
+/**
+ * Contributor Roles
+ *
+ * Maps the role labels the shops print next to names ("(Übersetzer)",
+ * "Gelesen von", "(Illustrator)", ...) to role codes, so that translators,
+ * narrators and editors are kept apart from the authors of a book.
+ */
+
+const { splitAuthorNames, toSortName, getNameKey } = require('./author-names');
+
+// Role labels of every marketplace language, lower case and without parentheses or colons
+const CONTRIBUTOR_ROLES = {
+  author: ['autor', 'autorin', 'autor/in', 'author', 'auteur', 'autore', 'autora', 'von', 'by', 'geschreven door'],
+  translator: [
+    'übersetzer', 'übersetzerin', 'übersetzung', 'übersetzt von', 'aus dem englischen von',
+    'translator', 'translated by', 'traducteur', 'traductrice', 'traduction', 'traduit par',
+    'traduttore', 'traduttrice', 'traduzione', 'traductor', 'traductora', 'traducción',
+    'vertaler', 'vertaling', 'vertaald door'
+  ],
+  narrator: [
+    'sprecher', 'sprecherin', 'gelesen von', 'gesprochen von', 'erzähler', 'erzählerin', 'vorleser',
+    'narrator', 'narrated by', 'read by', 'narrateur', 'narratrice', 'lecteur', 'lu par',
+    'narratore', 'letto da', 'narrador', 'narradora', 'verteller', 'voorlezer', 'voorgelezen door', 'gelezen door'
+  ],
+  illustrator: [
+    'illustrator', 'illustratorin', 'illustriert von', 'illustrationen', 'illustrations', 'illustrated by',
+    'illustrateur', 'illustratrice', 'illustratore', 'ilustrador', 'ilustradora', 'illustraties'
+  ],
+  editor: [
+    'herausgeber', 'herausgeberin', 'hrsg', 'hg', 'herausgegeben von', 'editor', 'edited by',
+    'éditeur', 'éditrice', 'directeur de publication', 'curatore', 'a cura di', 'redacteur', 'redactie'
+  ],
+  foreword: ['vorwort', 'mit einem vorwort von', 'foreword', 'introduction', 'einleitung', 'préface', 'prefazione', 'prólogo', 'voorwoord'],
+  photographer: ['fotograf', 'fotografin', 'fotos', 'photographer', 'photographs', 'photographe', 'fotografo', 'fotógrafo']
+};
+
+// Role code for names whose label is not in the list above
+const DEFAULT_ROLE = 'contributor';
+
+/**
+ * Maps a role label in any supported language to a role code
+ * @param {string} label - The role label (e.g. "(Übersetzer)" or "Gelesen von:")
+ * @returns {string|null} - The role code (e.g. 'translator') or null if the label is not a known role
+ */
+function normalizeContributorRole(label) {
+  const normalized = String(label || '')
+    .toLowerCase()
+    .replace(/[():.]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (!normalized) {
+    return null;
+  }
+
+  for (const [role, labels] of Object.entries(CONTRIBUTOR_ROLES)) {
+    if (labels.includes(normalized)) {
+      return role;
+    }
+  }
+  return null;
+}
+
+/**
+ * Adds a contributor unless the same person already has that role
+ * @param {Object[]} contributors - The contributors to update
+ * @param {string} name - The contributor's name in display or inverted form
+ * @param {string} role - The role code
+ */
+function addContributor(contributors, name, role) {
+  const [displayName] = splitAuthorNames(name);
+  const key = getNameKey(displayName);
+  if (key && !contributors.some(contributor => getNameKey(contributor.name) === key && contributor.role === role)) {
+    contributors.push({ name: displayName, sortName: toSortName(displayName), role });
+  }
+}
+
+/**
+ * Parses a list of names, each optionally followed by its roles
+ * @param {string} text - e.g. "Matt Haig (Autor), Sabine Hübner (Übersetzer)" or "Anna Schmidt und Tom Müller"
+ * @param {string} defaultRole - The role code for names without a role label
+ * @returns {Object[]} - The contributors as { name, sortName, role }
+ */
+function parseContributorList(text, defaultRole = 'author') {
+  const contributors = [];
+
+  // Each role label applies to the names between it and the previous label
+  const segments = String(text || '').match(/[^()]+(?:\([^)]*\))?|\([^)]*\)/g) || [];
+
+  for (const segment of segments) {
+    const match = segment.match(/^(.*?)\s*\(([^)]*)\)\s*$/);
+    const names = splitAuthorNames(match ? match[1] : segment);
+    const labels = match ? match[2].split(',') : [];
+    const roles = labels.map(label => normalizeContributorRole(label) || DEFAULT_ROLE);
+
+    for (const name of names) {
+      for (const role of roles.length ? roles : [defaultRole]) {
+        addContributor(contributors, name, role);
+      }
+    }
+  }
+
+  return contributors;
+}
+
+/**
+ * Combines the author byline with contributors found elsewhere on the page.
+ * Names the page lists with another role (e.g. as translator) are dropped
+ * from the authors, since shops often repeat them in the byline.
+ * @param {string} authorText - The byline, see parseContributorList()
+ * @param {Object[]} contributors - Contributors with known roles
+ * @returns {Object[]} - Authors first, then the other contributors
+ */
+function buildContributors(authorText, contributors = []) {
+  const result = [];
+
+  for (const author of parseContributorList(authorText, 'author')) {
+    const hasOtherRole = author.role === 'author' && contributors.some(contributor =>
+      getNameKey(contributor.name) === getNameKey(author.name) && contributor.role !== 'author'
+    );
+    if (!hasOtherRole) {
+      addContributor(result, author.name, author.role);
+    }
+  }
+  for (const contributor of contributors) {
+    addContributor(result, contributor.name, contributor.role);
+  }
+
+  return result;
+}
+
+/**
+ * Returns the names of the primary authors
+ * @param {Object[]} contributors - The contributors
+ * @returns {string[]} - The names with the author role
+ */
+function getPrimaryAuthors(contributors) {
+  return contributors.filter(contributor => contributor.role === 'author').map(contributor => contributor.name);
+}
+
+/**
+ * Returns the sort form of the primary authors
+ * @param {Object[]} contributors - The contributors
+ * @returns {string} - e.g. "Martin, Pierre; Haig, Matt"
+ */
+function getAuthorSort(contributors) {
+  return contributors
+    .filter(contributor => contributor.role === 'author')
+    .map(contributor => contributor.sortName)
+    .join('; ');
+}
+
+module.exports = {
+  CONTRIBUTOR_ROLES,
+  normalizeContributorRole,
+  addContributor,
+  parseContributorList,
+  buildContributors,
+  getPrimaryAuthors,
+  getAuthorSort
+};
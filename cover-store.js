@@ -0,0 +1,397 @@
+/**
+ * Cover Store
+ *
+ * Downloads cover images once and keeps them on disk, one directory per
+ * book, with the original, a JPEG thumbnail for every size scaled down with
+ * sharp, and a meta.json describing them. Books are keyed by their ISBN-13
+ * where they have one, so the same book scraped from different shops shares
+ * its covers. Downloads run in the background with a concurrency limit.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { COVER_SIZES, resolveCoverUrl } = require('./covers');
+const { getCacheKey } = require('./scrape-cache');
+const { toScrapeError } = require('./scrape-errors');
+
+// Browser-like headers for image requests
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+// Image types accepted from the CDNs and the file extension each is stored with
+const IMAGE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif'
+};
+
+// Covers larger than this are rejected
+const MAX_COVER_BYTES = 10 * 1024 * 1024;
+
+// JPEG quality of the generated thumbnails
+const THUMBNAIL_QUALITY = 85;
+
+// Cover IDs are used as directory names
+const COVER_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Builds the ID a book's covers are stored under
+ * @param {Object} provider - The provider from the registry
+ * @param {string} url - The product URL
+ * @param {Object} bookData - The scraped book data
+ * @returns {string|null} - The ISBN-13, else the provider's canonical product ID, or null if there is neither
+ */
+function getCoverId(provider, url, bookData) {
+  if (bookData.isbn13) {
+    return bookData.isbn13;
+  }
+
+  const cacheKey = getCacheKey(provider, url);
+  return cacheKey ? cacheKey.replace(/[^A-Za-z0-9_-]/g, '-') : null;
+}
+
+/**
+ * Checks whether a string can be a cover ID
+ * @param {string} id - The ID from the request
+ * @returns {boolean} - Whether the ID is safe to use as a directory name
+ */
+function isValidCoverId(id) {
+  return COVER_ID_PATTERN.test(id || '');
+}
+
+/**
+ * Returns the paths a book's covers are served from
+ * @param {string} id - The cover ID
+ * @returns {Object} - One path per size, e.g. { small: '/covers/9783426282571/small', ... }
+ */
+function getCoverPaths(id) {
+  return Object.fromEntries(Object.keys(COVER_SIZES).map(size => [size, `/covers/${id}/${size}`]));
+}
+
+/**
+ * Checks whether a file exists
+ * @param {string} file - The file path
+ * @returns {Promise<boolean>} - Whether the file can be read
+ */
+async function fileExists(file) {
+  try {
+    await fs.promises.access(file);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+class CoverStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.directory - Directory for the cover files
+   * @param {number} options.timeout - Timeout of each image download in milliseconds
+   * @param {number} options.concurrency - Maximum number of covers stored at the same time
+   */
+  constructor(options = {}) {
+    const {
+      directory = path.join(os.tmpdir(), 'book-scraper-covers'),
+      timeout = 15000,
+      concurrency = 2
+    } = options;
+
+    this.directory = directory;
+    this.timeout = timeout;
+    this.concurrency = concurrency;
+    this.active = 0;
+    this.waiting = [];
+    // Covers being stored, by cover ID
+    this.pending = new Map();
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  /**
+   * Maps a cover ID to its directory
+   * @param {string} id - The cover ID
+   * @returns {string} - The directory path
+   */
+  coverDirectory(id) {
+    if (!isValidCoverId(id)) {
+      throw new Error(`Invalid cover ID "${id}"`);
+    }
+    return path.join(this.directory, id);
+  }
+
+  /**
+   * Reads the description of a book's stored covers
+   * @param {string} id - The cover ID
+   * @returns {Promise<Object|null>} - { sourceUrl, title, author, files, savedAt } or null if nothing is stored
+   */
+  async getMeta(id) {
+    try {
+      const content = await fs.promises.readFile(path.join(this.coverDirectory(id), 'meta.json'), 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      // Missing or corrupt entries count as not stored
+      return null;
+    }
+  }
+
+  /**
+   * Checks whether every file a book's meta data lists is on disk
+   * @param {string} id - The cover ID
+   * @param {Object} meta - The meta data from getMeta()
+   * @returns {Promise<boolean>} - False if a file was deleted since it was stored
+   */
+  async hasFiles(id, meta) {
+    const directory = this.coverDirectory(id);
+    const exists = await Promise.all(Object.values(meta.files).map(entry => fileExists(path.join(directory, entry.file))));
+    return exists.every(Boolean);
+  }
+
+  /**
+   * Checks whether a book's cover, or its placeholder details, are stored
+   * @param {string} id - The cover ID
+   * @returns {Promise<boolean>} - False if nothing is stored or a stored file is missing
+   */
+  async isStored(id) {
+    const meta = await this.getMeta(id);
+    return Boolean(meta) && this.hasFiles(id, meta);
+  }
+
+  /**
+   * Finds the stored file of a cover size
+   * @param {string} id - The cover ID
+   * @param {string} size - A key of COVER_SIZES
+   * @returns {Promise<Object|null>} - { file, contentType, meta }, or { file: null, meta } if the book has no stored cover in this size or its file is missing, or null if the book is unknown
+   */
+  async getCover(id, size) {
+    const meta = await this.getMeta(id);
+    if (!meta) {
+      return null;
+    }
+
+    const entry = meta.files[size];
+    const file = entry ? path.join(this.coverDirectory(id), entry.file) : null;
+    if (!file || !(await fileExists(file))) {
+      return { file: null, contentType: null, meta };
+    }
+    return { file, contentType: entry.contentType, meta };
+  }
+
+  /**
+   * Checks whether a book's cover is being stored
+   * @param {string} id - The cover ID
+   * @returns {boolean} - Whether a download is queued or running
+   */
+  isPending(id) {
+    return this.pending.has(id);
+  }
+
+  /**
+   * Stores a cover in the background, see saveCover(). A book whose cover is
+   * already queued shares that download.
+   * @param {string} id - The cover ID
+   * @param {string} coverUrl - The scraped cover URL
+   * @param {Object} details - { title, author } for the placeholder
+   * @param {Object} options - See saveCover()
+   * @returns {Promise<Object>} - The stored meta data
+   */
+  queueCover(id, coverUrl, details = {}, options = {}) {
+    if (this.pending.has(id)) {
+      return this.pending.get(id);
+    }
+
+    const task = this.runLimited(() => this.saveCover(id, coverUrl, details, options))
+      .finally(() => this.pending.delete(id));
+    this.pending.set(id, task);
+    return task;
+  }
+
+  /**
+   * Runs a task once fewer than `concurrency` tasks are running
+   * @param {Function} work - Returns a promise
+   * @returns {Promise<*>} - The task's result
+   */
+  async runLimited(work) {
+    while (this.active >= this.concurrency) {
+      await new Promise(resolve => this.waiting.push(resolve));
+    }
+
+    this.active++;
+    try {
+      return await work();
+    } finally {
+      this.active--;
+      const next = this.waiting.shift();
+      if (next) {
+        next();
+      }
+    }
+  }
+
+  /**
+   * Downloads a cover and stores it with a thumbnail in every size. A book
+   * that already has a stored cover keeps it, whichever shop the new cover
+   * URL points at, unless refresh is set or its files were deleted. A
+   * refreshed cover with the same content as the stored one is not written
+   * again. Without a cover URL, or if the download fails, only the title and
+   * author are stored for the placeholder.
+   * @param {string} id - The cover ID
+   * @param {string} coverUrl - The scraped cover URL
+   * @param {Object} details - { title, author } for the placeholder
+   * @param {Object} options - Save options
+   * @param {boolean} options.refresh - Download the cover even if one is stored
+   * @returns {Promise<Object>} - The stored meta data
+   */
+  async saveCover(id, coverUrl, details = {}, options = {}) {
+    const { refresh = false } = options;
+    const directory = this.coverDirectory(id);
+    const sourceUrl = coverUrl ? resolveCoverUrl(coverUrl) : '';
+
+    // A cover whose files were deleted counts as not stored
+    const stored = await this.getMeta(id);
+    const existing = stored && await this.hasFiles(id, stored) ? stored : null;
+    if (existing && existing.files.original && (!refresh || !sourceUrl)) {
+      return existing;
+    }
+
+    await fs.promises.mkdir(directory, { recursive: true });
+
+    let files = {};
+    let hash = null;
+    if (sourceUrl) {
+      try {
+        const image = await this.downloadImage(sourceUrl);
+        hash = crypto.createHash('sha256').update(image.data).digest('hex');
+        files = existing && existing.hash === hash && existing.files.original
+          ? existing.files
+          : await this.writeImages(directory, image);
+      } catch (error) {
+        console.warn(`Could not store the cover of ${id} from ${sourceUrl}: ${error.message}`);
+      }
+    }
+
+    // A failed refresh keeps the stored cover
+    if (!hash && existing && existing.files.original) {
+      return existing;
+    }
+
+    const meta = {
+      sourceUrl,
+      hash,
+      title: details.title || '',
+      author: details.author || '',
+      files,
+      savedAt: new Date().toISOString()
+    };
+    await this.writeFile(path.join(directory, 'meta.json'), JSON.stringify(meta));
+    return meta;
+  }
+
+  /**
+   * Downloads an image
+   * @param {string} url - The image URL
+   * @returns {Promise<Object>} - { data, contentType, extension }
+   */
+  async downloadImage(url) {
+    let response;
+    try {
+      response = await axios.get(url, {
+        responseType: 'arraybuffer',
+        headers: {
+          'User-Agent': USER_AGENT,
+          'Accept': 'image/avif,image/webp,image/png,image/jpeg,*/*;q=0.8'
+        },
+        timeout: this.timeout,
+        maxContentLength: MAX_COVER_BYTES,
+        maxRedirects: 5
+      });
+    } catch (error) {
+      throw toScrapeError(error);
+    }
+
+    const contentType = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    const extension = IMAGE_EXTENSIONS[contentType];
+    const data = Buffer.from(response.data);
+
+    // The CDNs answer unknown images with tiny placeholder GIFs
+    if (!extension || data.length < 100) {
+      throw new Error(`Not a cover image (${contentType || 'no content type'}, ${data.length} bytes)`);
+    }
+
+    return { data, contentType, extension };
+  }
+
+  /**
+   * Stores the original image and scales it down to a JPEG thumbnail for
+   * every size. Thumbnails are never enlarged, so a small original yields
+   * thumbnails of its own size.
+   * @param {string} directory - The cover directory
+   * @param {Object} image - { data, contentType, extension } from downloadImage()
+   * @returns {Promise<Object>} - One { file, contentType, bytes } entry per key of COVER_SIZES
+   */
+  async writeImages(directory, image) {
+    // Thumbnails are generated first, so an image sharp cannot decode is not stored at all
+    const thumbnails = {};
+    for (const [size, pixels] of Object.entries(COVER_SIZES)) {
+      if (pixels) {
+        thumbnails[size] = await sharp(image.data)
+          .rotate()
+          .resize({ width: pixels, height: pixels, fit: 'inside', withoutEnlargement: true })
+          .flatten({ background: '#ffffff' })
+          .jpeg({ quality: THUMBNAIL_QUALITY })
+          .toBuffer();
+      }
+    }
+
+    const files = {};
+    const original = `original.${image.extension}`;
+    await this.writeFile(path.join(directory, original), image.data);
+    files.original = { file: original, contentType: image.contentType, bytes: image.data.length };
+
+    for (const [size, data] of Object.entries(thumbnails)) {
+      const file = `${size}.jpg`;
+      await this.writeFile(path.join(directory, file), data);
+      files[size] = { file, contentType: 'image/jpeg', bytes: data.length };
+    }
+
+    return files;
+  }
+
+  /**
+   * Writes a file atomically so readers never see a partial image
+   * @param {string} target - The file path
+   * @param {string|Buffer} data - The content
+   * @returns {Promise<void>}
+   */
+  async writeFile(target, data) {
+    const tempFile = `${target}.${crypto.randomUUID()}.tmp`;
+    try {
+      await fs.promises.writeFile(tempFile, data);
+      await fs.promises.rename(tempFile, target);
+    } catch (error) {
+      await fs.promises.rm(tempFile, { force: true });
+      throw error;
+    }
+  }
+}
+
+/**
+ * Creates the cover store from environment configuration.
+ * COVERS_DIR is the directory covers are stored in.
+ * @returns {CoverStore} - The configured store
+ */
+function createCoverStore() {
+  const store = new CoverStore({ directory: process.env.COVERS_DIR || undefined });
+  console.log(`Cover store: ${store.directory}`);
+  return store;
+}
+
+module.exports = {
+  CoverStore,
+  getCoverId,
+  isValidCoverId,
+  getCoverPaths,
+  createCoverStore
+};
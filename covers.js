@@ -0,0 +1,178 @@
+/**
+ * Cover Images
+ *
+ * Rewrites the cover URLs of the shops' image CDNs to their largest image:
+ * Amazon encodes the size as a token in the file name ("81abc._SY466_.jpg"),
+ * Thalia as a path segment ("/BF2000-2000/"). Books without a cover get a
+ * locally generated placeholder SVG.
+ */
+
+// Thumbnail sizes served by GET /covers/:id/:size, as the length of the longer side in pixels
+const COVER_SIZES = {
+  small: 150,
+  medium: 300,
+  large: 600,
+  original: null
+};
+
+// Local placeholder cover; GET /covers/:id/:size renders one for every ID without a stored cover.
+// Local cover paths are made absolute with withAbsoluteCoverUrls() when a response is sent.
+const PLACEHOLDER_COVER_PATH = '/covers/placeholder/medium';
+
+// Prefix of the paths served by GET /covers/:id/:size
+const LOCAL_COVER_PREFIX = '/covers/';
+
+// Largest size Thalia's CDN renders
+const THALIA_MAX_SIZE = 2000;
+
+// Amazon size tokens such as "._SY466_", "._SX300_", "._AC_UL320_" or "._SCLZZZZZZZ_SX500_"
+const AMAZON_SIZE_TOKEN_PATTERN = /\._[^/]*_(\.(?:jpe?g|png|gif|webp))$/i;
+const AMAZON_IMAGE_HOSTS = /(?:^|\.)(?:media-amazon\.com|images-amazon\.com|ssl-images-amazon\.com)$/i;
+
+// Thalia size segments such as "/BF2000-2000/" or "/BF150-150/"
+const THALIA_SIZE_SEGMENT_PATTERN = /\/BF\d+-\d+\//;
+const THALIA_IMAGE_HOSTS = /(?:^|\.)thalia\.media$/i;
+
+/**
+ * Rewrites a cover URL to the largest image the shop's CDN has
+ * @param {string} url - The cover URL as scraped
+ * @returns {string} - The rewritten URL; URLs of other hosts are returned unchanged
+ */
+function resolveCoverUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return url || '';
+  }
+
+  // Amazon: without a size token the CDN returns the uploaded original
+  if (AMAZON_IMAGE_HOSTS.test(parsed.hostname) && parsed.pathname.includes('/images/I/')) {
+    parsed.pathname = parsed.pathname.replace(AMAZON_SIZE_TOKEN_PATTERN, '$1');
+    return parsed.href;
+  }
+
+  if (THALIA_IMAGE_HOSTS.test(parsed.hostname) && THALIA_SIZE_SEGMENT_PATTERN.test(parsed.pathname)) {
+    parsed.pathname = parsed.pathname.replace(THALIA_SIZE_SEGMENT_PATTERN, `/BF${THALIA_MAX_SIZE}-${THALIA_MAX_SIZE}/`);
+    return parsed.href;
+  }
+
+  return parsed.href;
+}
+
+/**
+ * Escapes text for use in SVG markup
+ * @param {string} text - The text
+ * @returns {string} - The escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Breaks text into lines of at most the given length
+ * @param {string} text - The text
+ * @param {number} maxLength - Maximum characters per line
+ * @param {number} maxLines - Maximum number of lines; the last one is shortened with an ellipsis
+ * @returns {string[]} - The lines
+ */
+function wrapText(text, maxLength, maxLines) {
+  const lines = [];
+  let line = '';
+
+  for (const word of String(text || '').split(/\s+/).filter(Boolean)) {
+    if (line && `${line} ${word}`.length > maxLength) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) {
+    lines.push(line);
+  }
+
+  if (lines.length > maxLines) {
+    lines.length = maxLines;
+    lines[maxLines - 1] = `${lines[maxLines - 1].slice(0, maxLength - 1)}…`;
+  }
+  return lines.map(item => (item.length > maxLength ? `${item.slice(0, maxLength - 1)}…` : item));
+}
+
+/**
+ * Renders a placeholder cover with the title and author in the 2:3 format of a book
+ * @param {Object} options - Placeholder options
+ * @param {string} options.title - The book title, if known
+ * @param {string} options.author - The author, if known
+ * @param {number} options.size - The height in pixels
+ * @returns {string} - The SVG markup
+ */
+function renderPlaceholderSvg(options = {}) {
+  const { title = '', author = '', size = COVER_SIZES.large } = options;
+  const width = 400;
+  const height = 600;
+
+  const titleLines = wrapText(title || 'Kein Cover', 18, 5);
+  const authorLines = wrapText(author, 26, 2);
+  const titleTop = 200 - (titleLines.length - 1) * 20;
+
+  const text = [
+    ...titleLines.map((line, index) =>
+      `<text x="200" y="${titleTop + index * 40}" font-size="30" font-weight="bold">${escapeXml(line)}</text>`
+    ),
+    ...authorLines.map((line, index) =>
+      `<text x="200" y="${470 + index * 30}" font-size="22">${escapeXml(line)}</text>`
+    )
+  ];
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${Math.round(size * width / height)}" height="${size}" viewBox="0 0 ${width} ${height}">`,
+    `<rect width="${width}" height="${height}" fill="#e8e4dc"/>`,
+    `<rect x="24" y="24" width="${width - 48}" height="${height - 48}" fill="none" stroke="#b8b0a0" stroke-width="2"/>`,
+    `<g fill="#4a4438" font-family="Georgia, serif" text-anchor="middle">${text.join('')}</g>`,
+    '</svg>'
+  ].join('');
+}
+
+/**
+ * Makes the local cover paths of book data (the placeholder coverUrl and the
+ * covers of every size) absolute, so a frontend served from another origin
+ * loads them from this server
+ * @param {Object} bookData - The book data, or null
+ * @param {string} baseUrl - The public URL of this server, e.g. "https://books.example.com"
+ * @returns {Object} - The book data with absolute cover URLs
+ */
+function withAbsoluteCoverUrls(bookData, baseUrl) {
+  if (!bookData) {
+    return bookData;
+  }
+
+  const base = baseUrl.replace(/\/+$/, '');
+  const toAbsolute = value => (
+    typeof value === 'string' && value.startsWith(LOCAL_COVER_PREFIX) ? `${base}${value}` : value
+  );
+
+  const result = { ...bookData };
+  if ('coverUrl' in bookData) {
+    result.coverUrl = toAbsolute(bookData.coverUrl);
+  }
+  if (bookData.covers) {
+    result.covers = Object.fromEntries(
+      Object.entries(bookData.covers).map(([size, value]) => [size, toAbsolute(value)])
+    );
+  }
+  return result;
+}
+
+module.exports = {
+  COVER_SIZES,
+  PLACEHOLDER_COVER_PATH,
+  resolveCoverUrl,
+  renderPlaceholderSvg,
+  withAbsoluteCoverUrls
+};
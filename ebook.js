@@ -0,0 +1,158 @@
+/**
+ * eBook Details
+ *
+ * Turns the technical details of eBooks into values: the copy protection
+ * ("Wasserzeichen", "Adobe DRM", "Kein Kopierschutz"), the file size
+ * ("2 MB", "2345 KB") and the Kindle features Amazon lists as bullets
+ * ("X-Ray : Aktiviert", "Word Wise : Nicht aktiviert").
+ */
+
+const { getFormatType } = require('./formats');
+
+// Copy protection texts of every marketplace language, lower case. "Kein
+// Kopierschutz" and "DRM-frei" name DRM, so the DRM-free texts are checked first.
+const DRM_TEXTS = {
+  none: [
+    'kein kopierschutz', 'ohne kopierschutz', 'keiner', 'drm-frei', 'drm frei', 'drm-free', 'drm free', 'no drm',
+    'none', 'sans drm', 'aucune', 'senza drm', 'nessuna', 'sin drm', 'ninguna', 'geen drm', 'geen'
+  ],
+  watermark: [
+    'wasserzeichen', 'watermark', 'social drm', 'soft drm', 'filigrane', 'tatouage', 'filigrana', 'marca de agua',
+    'watermerk'
+  ],
+  adobe: ['adobe', 'hard drm'],
+  kindle: ['kindle', 'amazon drm']
+};
+
+// File container of each eBook format code
+const EBOOK_CONTAINERS = {
+  ebook_epub: 'epub',
+  ebook_pdf: 'pdf',
+  kindle: 'kindle'
+};
+
+// Multipliers of the file size units the shops print
+const FILE_SIZE_UNITS = {
+  b: 1,
+  byte: 1,
+  bytes: 1,
+  kb: 1024,
+  ko: 1024,
+  mb: 1024 * 1024,
+  mo: 1024 * 1024,
+  gb: 1024 * 1024 * 1024,
+  go: 1024 * 1024 * 1024
+};
+
+// Kindle feature values of every marketplace language, lower case; "Nicht aktiviert" is checked first
+const DISABLED_TEXTS = [
+  'nicht aktiviert', 'nicht verfügbar', 'nicht unterstützt', 'not enabled', 'not available', 'not supported',
+  'non activé', 'non disponible', 'non attivato', 'non disponibile', 'no activado', 'no disponible',
+  'niet ingeschakeld', 'niet beschikbaar'
+];
+const ENABLED_TEXTS = [
+  'aktiviert', 'verfügbar', 'unterstützt', 'enabled', 'available', 'supported', 'activé', 'disponible',
+  'attivato', 'disponibile', 'activado', 'ingeschakeld', 'beschikbaar'
+];
+
+// Kindle feature flags and the raw book data fields the extractors fill
+const KINDLE_FEATURES = ['xRay', 'wordWise', 'textToSpeech', 'enhancedTypesetting'];
+
+/**
+ * Maps a copy protection text to a DRM code
+ * @param {string} text - e.g. "Wasserzeichen", "Adobe DRM" or "Kein Kopierschutz"
+ * @returns {string|null} - 'none', 'watermark', 'adobe', 'kindle' or null if the text names none of these
+ */
+function parseDrm(text) {
+  const value = String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  if (!value) {
+    return null;
+  }
+
+  for (const [drm, texts] of Object.entries(DRM_TEXTS)) {
+    if (texts.some(candidate => value.includes(candidate))) {
+      return drm;
+    }
+  }
+  return null;
+}
+
+/**
+ * Parses a file size
+ * @param {string} text - e.g. "2 MB", "2,5 MB", "2345 KB" or "1.234 KB"
+ * @returns {number|null} - The size in bytes, or null if there is no size
+ */
+function parseFileSize(text) {
+  const match = String(text || '').replace(/\s+/g, ' ').match(/(\d[\d.,]*)\s*(bytes?|[kmg]?b|[kmg]o)\b/i);
+  if (!match) {
+    return null;
+  }
+
+  // "1.234 KB" groups thousands, "2.5 MB" and "2,5 MB" have decimals
+  const number = /[.,]\d{3}$/.test(match[1])
+    ? parseFloat(match[1].replace(/[.,]/g, ''))
+    : parseFloat(match[1].replace(',', '.'));
+  const multiplier = FILE_SIZE_UNITS[match[2].toLowerCase()];
+
+  return Number.isFinite(number) && multiplier ? Math.round(number * multiplier) : null;
+}
+
+/**
+ * Reads whether a Kindle feature is enabled
+ * @param {string} text - e.g. "Aktiviert", "Nicht aktiviert" or "Enabled"
+ * @returns {boolean|null} - Whether the feature is enabled, or null if the page does not say
+ */
+function parseFeatureFlag(text) {
+  const value = String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  if (DISABLED_TEXTS.some(candidate => value.includes(candidate))) {
+    return false;
+  }
+  if (ENABLED_TEXTS.some(candidate => value.includes(candidate))) {
+    return true;
+  }
+  return null;
+}
+
+/**
+ * Turns the raw copy protection, file size and Kindle feature texts into
+ * values. The fields are always present and null for products that are not eBooks.
+ * @param {Object} bookData - Book data with the format code and the raw copyProtection, fileSize and Kindle feature texts
+ * @returns {Object} - The book data with drm, fileSizeBytes, container and kindleFeatures
+ */
+function normalizeEbook(bookData) {
+  const { copyProtection, fileSize, xRay, wordWise, textToSpeech, enhancedTypesetting, ...rest } = bookData;
+  const rawFeatures = { xRay, wordWise, textToSpeech, enhancedTypesetting };
+
+  if (getFormatType(bookData.format) !== 'ebook') {
+    return {
+      ...rest,
+      drm: null,
+      fileSizeBytes: null,
+      container: null,
+      kindleFeatures: Object.fromEntries(KINDLE_FEATURES.map(feature => [feature, null]))
+    };
+  }
+
+  // Kindle books are protected by Amazon's DRM unless the page says otherwise
+  const isKindle = bookData.format === 'kindle';
+  const drm = parseDrm(copyProtection) || (isKindle ? 'kindle' : null);
+
+  return {
+    ...rest,
+    drm,
+    fileSizeBytes: parseFileSize(fileSize),
+    container: EBOOK_CONTAINERS[bookData.format] || null,
+    kindleFeatures: Object.fromEntries(KINDLE_FEATURES.map(feature => [
+      feature,
+      isKindle ? parseFeatureFlag(rawFeatures[feature]) : null
+    ]))
+  };
+}
+
+module.exports = {
+  KINDLE_FEATURES,
+  parseDrm,
+  parseFileSize,
+  parseFeatureFlag,
+  normalizeEbook
+};
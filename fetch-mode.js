@@ -0,0 +1,40 @@
+/**
+ * Fetch Modes
+ *
+ * Providers can either parse the server-rendered HTML from a plain HTTP
+ * request or render the page in a pooled browser. Clients pick the strategy
+ * per request:
+ *
+ * - auto: static fetch first, browser only when the static result is blocked or incomplete
+ * - static: static fetch only
+ * - browser: browser only
+ */
+
+const { InvalidOptionError } = require('./scrape-errors');
+
+const FETCH_MODES = ['auto', 'static', 'browser'];
+
+const DEFAULT_FETCH_MODE = 'auto';
+
+/**
+ * Checks a requested fetch mode
+ * @param {string} mode - The requested mode, undefined for the default
+ * @returns {string} - The fetch mode to use
+ */
+function resolveFetchMode(mode) {
+  if (mode === undefined || mode === null || mode === '') {
+    return DEFAULT_FETCH_MODE;
+  }
+
+  if (!FETCH_MODES.includes(mode)) {
+    throw new InvalidOptionError(`Unknown fetch mode "${mode}", expected one of ${FETCH_MODES.join(', ')}`);
+  }
+
+  return mode;
+}
+
+module.exports = {
+  FETCH_MODES,
+  DEFAULT_FETCH_MODE,
+  resolveFetchMode
+};
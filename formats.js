@@ -0,0 +1,165 @@
+/**
+ * Edition Formats
+ *
+ * Maps the format labels the shops print ("Taschenbuch", "Kindle Ausgabe",
+ * "Hörbuch-Download", "Audio-CD", "EPUB", "Relié", schema.org bookFormat
+ * values, ...) to a controlled set of format codes, and lists the other
+ * editions of a work from the shop's format selector.
+ */
+
+const { classifyIdentifier, isbn10To13 } = require('./isbn');
+
+// Format codes and the labels of every marketplace language that name them, lower case.
+// Checked in this order, so "Hörbuch-CD" is an audio CD and "eBook (PDF)" a PDF.
+const FORMAT_PATTERNS = [
+  { format: 'audio_cd', pattern: /audio[- ]?cd|hörbuch[- ]?cd|mp3[- ]?cd|\bcds?\b|compact disc/ },
+  { format: 'kindle', pattern: /kindle/ },
+  { format: 'ebook_pdf', pattern: /\bpdf\b/ },
+  { format: 'ebook_epub', pattern: /epub|\be-?books?\b|livre numérique|libro digitale|libro electrónico/ },
+  {
+    format: 'audiobook_download',
+    pattern: /hörbuch|hörspiel|audible|audio ?books?|audiobookformat|livre audio|audiolibro|luisterboek|download/
+  },
+  { format: 'calendar', pattern: /kalender|calendar|calendrier|calendario/ },
+  {
+    format: 'hardcover',
+    pattern: /gebunden|hardcover|hardback|fester einband|pappband|leinen|relié|copertina rigida|tapa dura|gebonden/
+  },
+  {
+    format: 'paperback',
+    pattern: /taschenbuch|paperback|broschiert|broschur|kartoniert|softcover|poche|broché|copertina flessibile|tapa blanda|pocket/
+  }
+];
+
+// Format for labels that match none of the patterns above
+const DEFAULT_FORMAT = 'other';
+
+// The kind of product each format is
+const FORMAT_TYPES = {
+  ebook_epub: 'ebook',
+  ebook_pdf: 'ebook',
+  kindle: 'ebook',
+  audiobook_download: 'audiobook',
+  audio_cd: 'audiobook',
+  paperback: 'print',
+  hardcover: 'print',
+  calendar: 'print',
+  other: 'other'
+};
+
+/**
+ * Maps format labels to a format code. The labels are tried in order, so
+ * the most specific source should come first.
+ * @param {...string} labels - e.g. "Taschenbuch", "Kindle Ausgabe" or "http://schema.org/Hardcover"
+ * @returns {string} - The format code, e.g. 'paperback', or 'other' if no label is known
+ */
+function detectFormat(...labels) {
+  for (const label of labels) {
+    const value = String(label || '').toLowerCase().replace(/\s+/g, ' ').trim();
+    if (!value) {
+      continue;
+    }
+
+    const match = FORMAT_PATTERNS.find(({ pattern }) => pattern.test(value));
+    if (match) {
+      return match.format;
+    }
+  }
+  return DEFAULT_FORMAT;
+}
+
+/**
+ * Returns the kind of product a format is
+ * @param {string} format - The format code
+ * @returns {string} - 'ebook', 'audiobook', 'print' or 'other'
+ */
+function getFormatType(format) {
+  return FORMAT_TYPES[format] || FORMAT_TYPES[DEFAULT_FORMAT];
+}
+
+/**
+ * Reads the ISBN-13 from a shop's product ID, if the ID is an ISBN
+ * @param {string} id - e.g. an ASIN such as "3426282570" or a Thalia article ID such as "EAN9783426282571"
+ * @returns {string} - The ISBN-13 or an empty string
+ */
+function getIsbn13FromId(id) {
+  const identifier = classifyIdentifier(id || '');
+  if (identifier.type === 'isbn13') {
+    return identifier.value;
+  }
+  if (identifier.type === 'isbn10') {
+    return isbn10To13(identifier.value);
+  }
+  return '';
+}
+
+/**
+ * Lists the other editions of the work from the offers of the format selector
+ * @param {Object[]} offers - Offers with format, formatLabel, url and selected
+ * @param {Function} extractId - Returns the shop's product ID of an edition URL, or null
+ * @returns {Object[]} - The editions as { format, formatLabel, id, isbn13, url }
+ */
+function buildEditions(offers, extractId) {
+  const editions = [];
+  const getId = offer => (offer.url ? extractId(offer.url) : null);
+
+  // Swatches sometimes link other formats to the scraped product itself
+  const selectedIds = offers.filter(offer => offer.selected).map(getId);
+
+  for (const offer of offers) {
+    const id = getId(offer);
+    if (offer.selected || !id || selectedIds.includes(id) || editions.some(edition => edition.id === id)) {
+      continue;
+    }
+
+    editions.push({
+      format: offer.format,
+      formatLabel: offer.formatLabel,
+      id,
+      isbn13: getIsbn13FromId(id),
+      url: offer.url
+    });
+  }
+
+  return editions;
+}
+
+/**
+ * Replaces the shop's format label with a format code, sets the product type
+ * and lists the other editions. The label of the page itself is preferred
+ * over the label of the selected format swatch.
+ * @param {Object} bookData - Book data with the raw format label and normalized offers
+ * @param {Object} options - Format options
+ * @param {Function} options.extractId - See buildEditions()
+ * @returns {Object} - The book data with format, formatLabel, type, offers and editions
+ */
+function normalizeFormat(bookData, options = {}) {
+  const { extractId = () => null } = options;
+
+  const offers = (bookData.offers || []).map(({ format: label, ...offer }) => ({
+    format: detectFormat(label),
+    formatLabel: label,
+    ...offer
+  }));
+  const selectedOffer = offers.find(offer => offer.selected);
+  const formatLabel = String(bookData.format || '').replace(/\s+/g, ' ').trim() ||
+    (selectedOffer ? selectedOffer.formatLabel : '');
+  const format = detectFormat(bookData.format, selectedOffer && selectedOffer.formatLabel);
+
+  return {
+    ...bookData,
+    format,
+    formatLabel,
+    type: getFormatType(format),
+    offers,
+    editions: buildEditions(offers, extractId)
+  };
+}
+
+module.exports = {
+  FORMAT_TYPES,
+  detectFormat,
+  getFormatType,
+  buildEditions,
+  normalizeFormat
+};
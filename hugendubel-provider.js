@@ -0,0 +1,497 @@
+/**
+ * Hugendubel Provider
+ *
+ * Scrapes book data from Hugendubel.de product pages. The pages are server
+ * rendered, so the JSON-LD block and the product details table are read from
+ * a static fetch, with the browser pool only used when that is not enough.
+ * Results go through the same fix/normalize/validate pipeline as Thalia's.
+ */
+
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { getBrowserPool } = require('./browser-pool');
+const { resolveFetchMode } = require('./fetch-mode');
+const { normalizeBookData, fixBookData, validateBookData } = require('./thalia-scraper');
+const { normalizeContributorRole, parseContributorList } = require('./contributors');
+const { parseSeriesFromStructuredData } = require('./series');
+const {
+  ScrapeError,
+  InvalidUrlError,
+  NotFoundError,
+  ParseFailedError,
+  errorFromHttpStatus,
+  toScrapeError
+} = require('./scrape-errors');
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+const ACCEPT_LANGUAGE = 'de-DE,de;q=0.9,en-US;q=0.8,en;q=0.7';
+
+// Product pages end in "-<product number>-produkt-details.html"
+const PRODUCT_PATH_PATTERN = /-(\d+)-produkt-details\.html$/i;
+
+// Labels of the product details table
+const DETAIL_LABELS = {
+  author: ['autor', 'autorin', 'autor/in'],
+  publisher: ['verlag'],
+  publicationDate: ['erscheinungsdatum', 'erscheinungstermin'],
+  pageCount: ['seitenzahl', 'seiten', 'umfang'],
+  language: ['sprache'],
+  ean: ['ean'],
+  isbn: ['isbn', 'isbn-13', 'isbn-10'],
+  format: ['einband', 'format', 'produktform'],
+  duration: ['spieldauer', 'laufzeit', 'hörbuch-länge'],
+  abridged: ['fassung', 'version'],
+  discCount: ['anzahl', 'anzahl cds', 'medienanzahl'],
+  copyProtection: ['kopierschutz', 'drm'],
+  fileSize: ['dateigröße'],
+  series: ['reihe', 'serie'],
+  seriesNumber: ['band', 'bandnummer']
+};
+
+// schema.org properties naming contributors other than the author
+const JSON_LD_CONTRIBUTOR_ROLES = {
+  translator: 'translator',
+  illustrator: 'illustrator',
+  editor: 'editor',
+  readBy: 'narrator'
+};
+
+/**
+ * Check if URL is a valid Hugendubel.de product URL
+ * @param {string} url - URL to check
+ * @returns {boolean} - Whether the URL is valid
+ */
+function isValidHugendubelUrl(url) {
+  return extractHugendubelProductId(url) !== null;
+}
+
+/**
+ * Extracts the product number from a Hugendubel URL
+ * @param {string} url - The Hugendubel URL
+ * @returns {string|null} - The product number or null if not found
+ */
+function extractHugendubelProductId(url) {
+  try {
+    const urlObj = new URL(url);
+    const host = urlObj.hostname.toLowerCase();
+    if (host !== 'hugendubel.de' && host !== 'www.hugendubel.de') {
+      return null;
+    }
+
+    const idMatch = urlObj.pathname.match(PRODUCT_PATH_PATTERN);
+    return idMatch ? idMatch[1] : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Scrapes a Hugendubel product page
+ * @param {string} url - The Hugendubel product URL
+ * @param {Object} options - Options for the scraper
+ * @param {string} options.mode - 'auto' (static first, browser if needed), 'static' or 'browser'
+ * @returns {Promise<Object>} - The scraped book data including fetchStrategy
+ */
+async function scrapeHugendubel(url, options = {}) {
+  const { timeout = 30000 } = options;
+  const mode = resolveFetchMode(options.mode);
+
+  if (!isValidHugendubelUrl(url)) {
+    throw new InvalidUrlError('Invalid Hugendubel URL. Please provide a valid Hugendubel.de product URL.');
+  }
+
+  let staticData = null;
+
+  if (mode !== 'browser') {
+    try {
+      const html = await fetchHugendubelStatic(url);
+      staticData = { ...parseHugendubelPage(html), fetchStrategy: 'static' };
+
+      if (mode === 'static' || validateBookData(staticData).isValid) {
+        return staticData;
+      }
+      console.log('Static Hugendubel page is missing required fields, falling back to the browser...');
+    } catch (error) {
+      // Missing products stay missing in the browser, everything else is worth a rendered attempt
+      if (mode === 'static' || error instanceof NotFoundError || error instanceof ParseFailedError) {
+        throw error;
+      }
+      console.warn(`Static Hugendubel fetch failed (${error.code}), falling back to the browser...`);
+    }
+  }
+
+  try {
+    const html = await fetchHugendubelRendered(url, { timeout });
+    const renderedData = { ...parseHugendubelPage(html), fetchStrategy: 'browser' };
+
+    // Keep the static result if the browser did not get any further
+    if (staticData && !renderedData.title && staticData.title) {
+      return staticData;
+    }
+    return renderedData;
+  } catch (error) {
+    if (staticData) {
+      console.warn(`Browser fetch failed (${toScrapeError(error).code}), using incomplete static result`);
+      return staticData;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Fetches the product page with a plain HTTP request
+ * @param {string} url - The Hugendubel product URL
+ * @returns {Promise<string>} - The page HTML
+ */
+async function fetchHugendubelStatic(url) {
+  console.log(`Fetching ${url} with axios...`);
+
+  try {
+    const response = await axios.get(url, {
+      headers: {
+        'User-Agent': USER_AGENT,
+        'Accept-Language': ACCEPT_LANGUAGE,
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8'
+      },
+      timeout: 15000,
+      maxRedirects: 5
+    });
+
+    return typeof response.data === 'string' ? response.data : '';
+  } catch (error) {
+    throw toScrapeError(error);
+  }
+}
+
+/**
+ * Renders the product page in a pooled browser and returns its HTML
+ * @param {string} url - The Hugendubel product URL
+ * @param {Object} options - Browser options (timeout)
+ * @returns {Promise<string>} - The rendered page HTML
+ */
+async function fetchHugendubelRendered(url, options = {}) {
+  const { timeout = 30000 } = options;
+
+  const pool = getBrowserPool();
+  const page = await pool.acquirePage();
+  let failed = false;
+
+  try {
+    await page.setUserAgent(USER_AGENT);
+    await page.setExtraHTTPHeaders({ 'Accept-Language': ACCEPT_LANGUAGE });
+
+    console.log(`Rendering ${url} in the browser...`);
+    const response = await page.goto(url, { waitUntil: 'domcontentloaded', timeout });
+
+    // Missing products and blocked requests come back as HTTP errors
+    if (response && response.status() >= 400) {
+      throw errorFromHttpStatus(response.status(), url);
+    }
+
+    return await page.content();
+  } catch (error) {
+    failed = true;
+    throw toScrapeError(error);
+  } finally {
+    // Pages from failed scrapes are recycled rather than reused
+    await pool.releasePage(page, { destroy: failed });
+  }
+}
+
+/**
+ * Extracts book data from Hugendubel page HTML
+ * @param {string} html - The page HTML
+ * @returns {Object} - The extracted book data
+ */
+function parseHugendubelPage(html) {
+  try {
+    const $ = cheerio.load(html);
+
+    const bookData = {
+      title: '',
+      author: '',
+      contributors: [],
+      series: '',
+      seriesNumber: '',
+      seriesUrl: '',
+      description: '',
+      coverUrl: '',
+      ean: '',
+      isbn: '',
+      publisher: '',
+      publicationDate: '',
+      pageCount: '',
+      format: '',
+      duration: '',
+      abridged: '',
+      discCount: '',
+      copyProtection: '',
+      fileSize: '',
+      language: '',
+      price: '',
+      availability: '',
+      currency: 'EUR'
+    };
+
+    // The details table is the most specific source, JSON-LD fills the gaps
+    extractFromDetailsTable($, bookData);
+    extractFromStructuredData(findStructuredData($), bookData);
+
+    if (!bookData.title) {
+      bookData.title = $('h1').first().text().trim() || $('meta[property="og:title"]').attr('content') || '';
+    }
+    if (!bookData.description) {
+      bookData.description = $('meta[property="og:description"]').attr('content') || '';
+    }
+    if (!bookData.coverUrl) {
+      bookData.coverUrl = $('meta[property="og:image"]').attr('content') || '';
+    }
+
+    return bookData;
+  } catch (error) {
+    console.error('Error while processing with Cheerio:', error.message);
+    throw new ParseFailedError(`Could not parse Hugendubel page: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Finds the JSON-LD block describing the book
+ * @param {CheerioStatic} $ - Cheerio instance
+ * @returns {Object|null} - The structured data or null if none was found
+ */
+function findStructuredData($) {
+  const scripts = $('script[type="application/ld+json"]').toArray();
+
+  for (const script of scripts) {
+    let data;
+    try {
+      data = JSON.parse($(script).html());
+    } catch (e) {
+      continue;
+    }
+
+    // Blocks can be a single object, an array or an @graph
+    const candidates = Array.isArray(data) ? data : (data['@graph'] || [data]);
+    const book = candidates.find(item => {
+      const types = [].concat(item && item['@type']);
+      return types.includes('Book') || types.includes('Product');
+    });
+    if (book) {
+      return book;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Reads a name from a JSON-LD value that may be a string, an object or an array
+ * @param {*} value - The JSON-LD value
+ * @returns {string} - The comma-separated names
+ */
+function jsonLdNames(value) {
+  return [].concat(value || [])
+    .map(item => (typeof item === 'string' ? item : item.name || ''))
+    .map(name => name.trim())
+    .filter(Boolean)
+    .join(', ');
+}
+
+/**
+ * Fills missing book data fields from JSON-LD
+ * @param {Object|null} structuredData - The JSON-LD book or product
+ * @param {Object} bookData - The book data object to update
+ */
+function extractFromStructuredData(structuredData, bookData) {
+  if (!structuredData) {
+    return;
+  }
+
+  const image = [].concat(structuredData.image || [])[0];
+  const offer = [].concat(structuredData.offers || [])[0];
+  const values = {
+    title: structuredData.name,
+    author: jsonLdNames(structuredData.author),
+    description: structuredData.description,
+    coverUrl: typeof image === 'object' ? image.url : image,
+    ean: structuredData.gtin13 || structuredData.gtin,
+    isbn: structuredData.isbn,
+    publisher: jsonLdNames(structuredData.publisher),
+    publicationDate: structuredData.datePublished,
+    pageCount: structuredData.numberOfPages,
+    // bookFormat is a schema.org URL such as http://schema.org/Hardcover
+    format: structuredData.bookFormat && String(structuredData.bookFormat).split('/').pop(),
+    language: structuredData.inLanguage,
+    // schema.org Audiobook running time such as "PT5H12M"
+    duration: structuredData.duration
+  };
+
+  for (const [field, value] of Object.entries(values)) {
+    if (!bookData[field] && value) {
+      bookData[field] = String(value).trim();
+    }
+  }
+
+  if (typeof structuredData.abridged === 'boolean' && bookData.abridged === '') {
+    bookData.abridged = structuredData.abridged;
+  }
+
+  const series = parseSeriesFromStructuredData(structuredData);
+  if (series && !bookData.series) {
+    Object.assign(bookData, series);
+  }
+
+  for (const [property, role] of Object.entries(JSON_LD_CONTRIBUTOR_ROLES)) {
+    bookData.contributors.push(...parseContributorList(jsonLdNames(structuredData[property]), role));
+  }
+
+  if (offer) {
+    if (!bookData.price && offer.price) {
+      bookData.price = String(offer.price);
+      bookData.currency = offer.priceCurrency || bookData.currency;
+    }
+    // schema.org URL such as https://schema.org/InStock
+    if (!bookData.availability && offer.availability) {
+      bookData.availability = String(offer.availability);
+    }
+  }
+}
+
+/**
+ * Extracts book data from the product details table
+ * @param {CheerioStatic} $ - Cheerio instance
+ * @param {Object} bookData - The book data object to update
+ */
+function extractFromDetailsTable($, bookData) {
+  const rows = [];
+
+  $('table tr').each((i, el) => {
+    const cells = $(el).children('th, td');
+    if (cells.length >= 2) {
+      rows.push([$(cells[0]).text(), $(cells[1]).text()]);
+    }
+  });
+
+  $('dl dt').each((i, el) => {
+    rows.push([$(el).text(), $(el).next('dd').text()]);
+  });
+
+  for (const [rawLabel, rawValue] of rows) {
+    const label = rawLabel.replace(/:$/, '').replace(/\s+/g, ' ').trim().toLowerCase();
+    const value = rawValue.replace(/\s+/g, ' ').trim();
+    if (!value) {
+      continue;
+    }
+
+    const field = Object.keys(DETAIL_LABELS).find(key => DETAIL_LABELS[key].includes(label));
+    if (field && !bookData[field]) {
+      bookData[field] = value;
+      continue;
+    }
+
+    // Rows such as "Übersetzung" or "Sprecher" name further contributors
+    const role = normalizeContributorRole(label);
+    if (role && role !== 'author') {
+      bookData.contributors.push(...parseContributorList(value, role));
+    }
+  }
+}
+
+/**
+ * Scrapes a Hugendubel product with retries, then fixes, normalizes and validates the data
+ * @param {string} url - The Hugendubel product URL
+ * @param {Object} options - Options for the scraper
+ * @returns {Promise<Object>} - The scraped and processed book data
+ */
+async function scrapeHugendubelSafe(url, options = {}) {
+  const {
+    maxRetries = 3,
+    retryDelay = 3000,
+    timeout = 30000,
+    validateData = true,
+    normalizeData = true,
+    fixData = true,
+    mode = 'auto',
+    onAttempt = null // Called with the attempt number before each attempt
+  } = options;
+
+  if (!isValidHugendubelUrl(url)) {
+    throw new InvalidUrlError('Invalid Hugendubel URL provided');
+  }
+
+  let lastError = null;
+  let bookData = null;
+
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      console.log(`Attempt ${attempt}/${maxRetries} to scrape data from ${url}`);
+      if (onAttempt) onAttempt(attempt);
+
+      bookData = await scrapeHugendubel(url, { timeout, mode });
+      break;
+    } catch (error) {
+      lastError = toScrapeError(error);
+      console.error(`Attempt ${attempt} failed: ${lastError.code}: ${lastError.message}`);
+
+      // Missing products, invalid URLs and parse failures will not get better by retrying
+      if (!lastError.retryable) {
+        throw lastError;
+      }
+
+      if (attempt < maxRetries) {
+        const waitTime = retryDelay * attempt;
+        console.log(`Waiting ${waitTime}ms before next attempt...`);
+        await new Promise(resolve => setTimeout(resolve, waitTime));
+      }
+    }
+  }
+
+  if (!bookData) {
+    throw lastError || new ScrapeError(`Failed to scrape book data after ${maxRetries} attempts`);
+  }
+
+  if (fixData) {
+    bookData = fixBookData(bookData);
+  }
+
+  if (normalizeData) {
+    bookData = normalizeBookData(bookData, { productUrl: url, extractId: extractHugendubelProductId });
+  }
+
+  if (validateData) {
+    const validation = validateBookData(bookData);
+    if (!validation.isValid) {
+      console.warn(`Validation warning: Missing fields: ${validation.missingFields.join(', ')}`);
+      bookData.validationWarning = {
+        missingFields: validation.missingFields
+      };
+    }
+  }
+
+  return bookData;
+}
+
+/**
+ * Hugendubel provider definition for the provider registry
+ */
+const hugendubelProvider = {
+  name: 'hugendubel',
+  label: 'Hugendubel',
+  hosts: ['hugendubel.de'],
+  urlPatterns: [
+    'https://www.hugendubel.de/de/<FORMAT>/<SLUG>-<PRODUCT_ID>-produkt-details.html'
+  ],
+  concurrency: 2,
+  matches: isValidHugendubelUrl,
+  extractId: extractHugendubelProductId,
+  scrape: (url, options = {}) => scrapeHugendubelSafe(url, options)
+};
+
+module.exports = {
+  isValidHugendubelUrl,
+  extractHugendubelProductId,
+  scrapeHugendubel,
+  scrapeHugendubelSafe,
+  parseHugendubelPage,
+  hugendubelProvider
+};
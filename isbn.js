@@ -0,0 +1,207 @@
+/**
+ * ISBN Utilities
+ *
+ * Checksum validation and conversion between ISBN-10 and ISBN-13, so that
+ * scanned barcodes and identifiers from library records can be compared
+ * with what the shops show. Scraped identifiers are sorted into ISBNs, EANs
+ * of non-book products and Thalia article IDs, and values that fail their
+ * checksum are reported instead of being passed on as ISBNs.
+ */
+
+// Thalia's internal article numbers, which are neither ISBNs nor EANs
+const ARTICLE_ID_PATTERN = /^(?:A|ID)\d+$/;
+
+// Identifier fields the providers fill, in order of preference
+const IDENTIFIER_FIELDS = ['isbn13', 'isbn', 'isbn10', 'ean'];
+
+/**
+ * Strips hyphens, spaces and an "ISBN" prefix from an identifier
+ * @param {string} value - The raw identifier (e.g. "ISBN 978-3-426-28257-1")
+ * @returns {string} - Digits, with an upper-case X check digit for ISBN-10
+ */
+function cleanIsbn(value) {
+  return String(value || '')
+    .replace(/[\u200b-\u200f\ufeff]/g, '')
+    .replace(/^\s*ISBN(?:-1[03])?:?/i, '')
+    .replace(/[\s\-‐–]/g, '')
+    .toUpperCase();
+}
+
+/**
+ * Checks an ISBN-10 checksum
+ * @param {string} isbn - The cleaned ISBN-10
+ * @returns {boolean} - Whether the ISBN-10 is valid
+ */
+function isValidIsbn10(isbn) {
+  if (!/^\d{9}[\dX]$/.test(isbn)) {
+    return false;
+  }
+
+  let sum = 0;
+  for (let i = 0; i < 10; i++) {
+    const digit = isbn[i] === 'X' ? 10 : parseInt(isbn[i], 10);
+    sum += digit * (10 - i);
+  }
+  return sum % 11 === 0;
+}
+
+/**
+ * Checks an EAN-13 checksum (ISBN-13 is an EAN-13 with a 978 or 979-1 to 979-9 prefix)
+ * @param {string} ean - The cleaned 13-digit code
+ * @returns {boolean} - Whether the checksum is valid
+ */
+function isValidEan13(ean) {
+  if (!/^\d{13}$/.test(ean)) {
+    return false;
+  }
+
+  let sum = 0;
+  for (let i = 0; i < 13; i++) {
+    sum += parseInt(ean[i], 10) * (i % 2 === 0 ? 1 : 3);
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Checks an ISBN-13 checksum and prefix. 979-0 is the prefix of ISMNs
+ * (printed music), not of ISBNs.
+ * @param {string} isbn - The cleaned ISBN-13
+ * @returns {boolean} - Whether the ISBN-13 is valid
+ */
+function isValidIsbn13(isbn) {
+  return /^(?:978|979[1-9])/.test(isbn) && isValidEan13(isbn);
+}
+
+/**
+ * Converts an ISBN-10 to ISBN-13
+ * @param {string} isbn - A valid, cleaned ISBN-10
+ * @returns {string} - The ISBN-13
+ */
+function isbn10To13(isbn) {
+  const base = `978${isbn.slice(0, 9)}`;
+  let sum = 0;
+  for (let i = 0; i < 12; i++) {
+    sum += parseInt(base[i], 10) * (i % 2 === 0 ? 1 : 3);
+  }
+  return `${base}${(10 - (sum % 10)) % 10}`;
+}
+
+/**
+ * Converts an ISBN-13 to ISBN-10. Only 978 ISBNs have an ISBN-10.
+ * @param {string} isbn - A valid, cleaned ISBN-13
+ * @returns {string|null} - The ISBN-10 or null for 979 ISBNs
+ */
+function isbn13To10(isbn) {
+  if (!isbn.startsWith('978')) {
+    return null;
+  }
+
+  const base = isbn.slice(3, 12);
+  let sum = 0;
+  for (let i = 0; i < 9; i++) {
+    sum += parseInt(base[i], 10) * (10 - i);
+  }
+  const check = (11 - (sum % 11)) % 11;
+  return `${base}${check === 10 ? 'X' : check}`;
+}
+
+/**
+ * Parses an ISBN-10 or ISBN-13 and returns both forms
+ * @param {string} value - The raw identifier
+ * @returns {Object|null} - { isbn10, isbn13 } (isbn10 is null for 979 ISBNs) or null if invalid
+ */
+function parseIsbn(value) {
+  const isbn = cleanIsbn(value);
+
+  if (isValidIsbn13(isbn)) {
+    return { isbn10: isbn13To10(isbn), isbn13: isbn };
+  }
+  if (isValidIsbn10(isbn)) {
+    return { isbn10: isbn, isbn13: isbn10To13(isbn) };
+  }
+  return null;
+}
+
+/**
+ * Determines what kind of identifier a scraped value is
+ * @param {string} value - The raw identifier
+ * @returns {Object} - { type, value } with type 'isbn13', 'isbn10', 'ean', 'articleId' or 'invalid'
+ */
+function classifyIdentifier(value) {
+  const cleaned = cleanIsbn(value);
+
+  if (ARTICLE_ID_PATTERN.test(cleaned)) {
+    return { type: 'articleId', value: cleaned };
+  }
+
+  // Thalia builds article IDs from the EAN for some products
+  const code = cleaned.replace(/^EAN/, '');
+
+  if (isValidIsbn13(code)) {
+    return { type: 'isbn13', value: code };
+  }
+  if (isValidEan13(code)) {
+    return { type: 'ean', value: code };
+  }
+  if (isValidIsbn10(code)) {
+    return { type: 'isbn10', value: code };
+  }
+  return { type: 'invalid', value: String(value).trim() };
+}
+
+/**
+ * Replaces the scraped identifier fields with verified values. isbn13 and
+ * isbn10 only hold ISBNs with a valid checksum (isbn is the ISBN-13), ean
+ * only holds EANs of products that have no ISBN, and values that fail their
+ * checksum are listed in invalidIdentifiers.
+ * @param {Object} bookData - Book data with raw isbn, isbn13, isbn10, ean and articleId values
+ * @returns {Object} - The book data with isbn, isbn13, isbn10, ean and invalidIdentifiers
+ */
+function normalizeIdentifiers(bookData) {
+  const normalized = { ...bookData };
+  const invalidIdentifiers = [];
+  let isbn13 = null;
+  let ean = null;
+
+  const sources = IDENTIFIER_FIELDS.map(field => [field, bookData[field]]);
+  sources.push(['articleId', bookData.articleId]);
+
+  for (const [field, rawValue] of sources) {
+    if (rawValue === null || rawValue === undefined || String(rawValue).trim() === '') {
+      continue;
+    }
+
+    const identifier = classifyIdentifier(rawValue);
+    if (identifier.type === 'isbn13') {
+      isbn13 = isbn13 || identifier.value;
+    } else if (identifier.type === 'isbn10') {
+      isbn13 = isbn13 || isbn10To13(identifier.value);
+    } else if (identifier.type === 'ean') {
+      ean = ean || identifier.value;
+    } else if (identifier.type === 'articleId') {
+      normalized.articleId = normalized.articleId || identifier.value;
+    } else if (field !== 'articleId') {
+      invalidIdentifiers.push({ field, value: identifier.value });
+    }
+  }
+
+  normalized.isbn = isbn13 || '';
+  normalized.isbn13 = isbn13 || '';
+  normalized.isbn10 = isbn13 ? isbn13To10(isbn13) || '' : '';
+  normalized.ean = isbn13 ? '' : ean || '';
+  normalized.invalidIdentifiers = invalidIdentifiers;
+
+  return normalized;
+}
+
+module.exports = {
+  cleanIsbn,
+  isValidIsbn10,
+  isValidIsbn13,
+  isValidEan13,
+  isbn10To13,
+  isbn13To10,
+  parseIsbn,
+  classifyIdentifier,
+  normalizeIdentifiers
+};
@@ -0,0 +1,200 @@
+/**
+ * Scrape Job Queue
+ *
+ * Runs scrapes in the background so clients do not have to keep an HTTP
+ * request open while Thalia retries for minutes. Jobs wait in a FIFO queue
+ * and are started while both the global concurrency limit and the limit of
+ * the job's provider allow it.
+ */
+
+const crypto = require('crypto');
+const { toScrapeError } = require('./scrape-errors');
+
+class JobQueue {
+  /**
+   * @param {Object} options - Queue options
+   * @param {number} options.concurrency - Maximum number of jobs running at once
+   * @param {Object} options.providerConcurrency - Per-provider limits keyed by provider name
+   * @param {number} options.defaultProviderConcurrency - Limit for providers without an entry
+   * @param {number} options.jobTtl - Time in milliseconds finished jobs are kept
+   */
+  constructor(options = {}) {
+    const {
+      concurrency = 2,
+      providerConcurrency = {},
+      defaultProviderConcurrency = 1,
+      jobTtl = 60 * 60 * 1000
+    } = options;
+
+    this.concurrency = concurrency;
+    this.providerConcurrency = providerConcurrency;
+    this.defaultProviderConcurrency = defaultProviderConcurrency;
+    this.jobTtl = jobTtl;
+
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = 0;
+    this.runningByProvider = new Map();
+  }
+
+  /**
+   * Adds a job to the queue
+   * @param {Object} spec - The job specification
+   * @param {string} spec.provider - Name of the provider the job uses
+   * @param {string} spec.url - The URL being scraped
+   * @param {Function} spec.run - Async function (job context) => result; the context
+   *   has an onAttempt(attempt) callback to report retries
+   * @returns {Object} - The job record
+   */
+  enqueue({ provider, url, run }) {
+    this.purgeExpiredJobs();
+
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      provider,
+      url,
+      attempts: 0,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null
+    };
+
+    // Callers like the batch route can await the outcome without polling
+    job.done = new Promise(resolve => {
+      job.settle = resolve;
+    });
+    job.run = run;
+
+    this.jobs.set(job.id, job);
+    this.pending.push(job);
+    this.pump();
+
+    return job;
+  }
+
+  /**
+   * Gets a job by ID
+   * @param {string} id - The job ID
+   * @returns {Object|null} - The job record or null if unknown or expired
+   */
+  getJob(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * Returns the limit for a provider
+   * @param {string} provider - The provider name
+   * @returns {number} - Maximum number of concurrent jobs for the provider
+   */
+  getProviderLimit(provider) {
+    return this.providerConcurrency[provider] || this.defaultProviderConcurrency;
+  }
+
+  /**
+   * Starts queued jobs while the concurrency limits allow it
+   */
+  pump() {
+    for (let i = 0; i < this.pending.length && this.running < this.concurrency; ) {
+      const job = this.pending[i];
+      const providerRunning = this.runningByProvider.get(job.provider) || 0;
+
+      // Skip jobs whose provider is saturated so other providers are not blocked behind them
+      if (providerRunning >= this.getProviderLimit(job.provider)) {
+        i++;
+        continue;
+      }
+
+      this.pending.splice(i, 1);
+      this.start(job);
+    }
+  }
+
+  /**
+   * Runs a job and records its outcome
+   * @param {Object} job - The job record
+   */
+  async start(job) {
+    this.running++;
+    this.runningByProvider.set(job.provider, (this.runningByProvider.get(job.provider) || 0) + 1);
+
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    job.attempts = 1;
+
+    try {
+      job.result = await job.run({
+        onAttempt: (attempt) => {
+          job.attempts = attempt;
+        }
+      });
+      job.status = 'succeeded';
+    } catch (error) {
+      job.status = 'failed';
+      job.error = toScrapeError(error);
+      console.error(`Job ${job.id} failed: ${job.error.code}: ${job.error.message}`);
+    } finally {
+      job.finishedAt = new Date().toISOString();
+      this.running--;
+      this.runningByProvider.set(job.provider, this.runningByProvider.get(job.provider) - 1);
+      job.settle(job);
+      this.pump();
+    }
+  }
+
+  /**
+   * Removes finished jobs older than the TTL
+   */
+  purgeExpiredJobs() {
+    const cutoff = Date.now() - this.jobTtl;
+
+    for (const [id, job] of this.jobs) {
+      if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Returns queue statistics
+   * @returns {Object} - Queued and running job counts
+   */
+  getStats() {
+    return {
+      concurrency: this.concurrency,
+      queued: this.pending.length,
+      running: this.running,
+      runningByProvider: Object.fromEntries(this.runningByProvider),
+      jobs: this.jobs.size
+    };
+  }
+}
+
+/**
+ * Converts a job to the shape returned by the API
+ * @param {Object} job - The job record
+ * @returns {Object} - Public job data
+ */
+function serializeJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    provider: job.provider,
+    url: job.url,
+    attempts: job.attempts,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    result: job.result,
+    error: job.error ? job.error.message : null,
+    errorCode: job.error ? job.error.code : null,
+    retryable: job.error ? job.error.retryable : null
+  };
+}
+
+module.exports = {
+  JobQueue,
+  serializeJob
+};
@@ -0,0 +1,182 @@
+/**
+ * Offers
+ *
+ * Turns the prices the shops display per edition ("12,99 €", "CHF 25.90",
+ * "£8.99") into offers with the amount in minor units (cents), the ISO 4217
+ * currency, the availability and the product URL of that edition.
+ */
+
+// Currency symbols and codes as printed by the supported shops
+const CURRENCY_SYMBOLS = {
+  '€': 'EUR',
+  'EUR': 'EUR',
+  '£': 'GBP',
+  'GBP': 'GBP',
+  '$': 'USD',
+  'US$': 'USD',
+  'USD': 'USD',
+  'CHF': 'CHF',
+  'Fr.': 'CHF'
+};
+
+// Availability texts of every marketplace language and schema.org values, lower case.
+// The positive texts are contained in negated ones ("nicht auf Lager", "indisponible",
+// "unavailable"), so they are checked last and only at the start of a word.
+const AVAILABILITY_TEXTS = {
+  preorder: [
+    'preorder', 'pre-order', 'vorbestell', 'erscheint am', 'noch nicht erschienen', 'précommande', 'prénotazione',
+    'preventa', 'reserva', 'vooruitbestellen'
+  ],
+  out_of_stock: [
+    'outofstock', 'discontinued', 'soldout', 'nicht auf lager', 'nicht verfügbar', 'nicht lieferbar',
+    'nicht mehr lieferbar', 'nicht mehr verfügbar', 'vergriffen', 'unavailable', 'not available', 'out of stock',
+    'not in stock', 'no longer available', 'indisponible', 'non disponible', 'pas disponible', 'rupture de stock',
+    'non disponibile', 'esaurito', 'no disponible', 'no está disponible', 'agotado', 'niet beschikbaar',
+    'niet op voorraad', 'niet leverbaar', 'uitverkocht'
+  ],
+  in_stock: [
+    'instock', 'limitedavailability', 'onlineonly', 'auf lager', 'sofort lieferbar', 'lieferbar', 'sofort per download',
+    'in stock', 'en stock', 'disponibile', 'disponible', 'op voorraad', 'available'
+  ]
+};
+
+/**
+ * Checks whether a text contains a phrase at the start of a word
+ * @param {string} value - The lower case text
+ * @param {string} phrase - The lower case phrase
+ * @returns {boolean} - Whether the phrase occurs, e.g. "available" in "available now" but not in "unavailable"
+ */
+function containsPhrase(value, phrase) {
+  let index = value.indexOf(phrase);
+  while (index !== -1) {
+    if (index === 0 || !/[\p{L}\p{N}]/u.test(value[index - 1])) {
+      return true;
+    }
+    index = value.indexOf(phrase, index + 1);
+  }
+  return false;
+}
+
+/**
+ * Parses a displayed price
+ * @param {string|number} text - e.g. "12,99 €", "€12.99", "CHF 25.90", "1.234,56 €" or 12.99
+ * @param {string} defaultCurrency - ISO currency used when the text has no symbol
+ * @returns {Object|null} - { amount, currency } with the amount in minor units, or null if there is no price
+ */
+function parsePrice(text, defaultCurrency = '') {
+  if (typeof text === 'number') {
+    return Number.isFinite(text) ? { amount: Math.round(text * 100), currency: defaultCurrency } : null;
+  }
+
+  const value = String(text || '').replace(/\s+/g, ' ').trim();
+  const numberMatch = value.match(/\d[\d.,'’ ]*/);
+  if (!numberMatch) {
+    return null;
+  }
+
+  // The last separator followed by one or two digits is the decimal separator
+  const digits = numberMatch[0].trim().replace(/[\s'’]/g, '');
+  const decimalMatch = digits.match(/^(.*?)[.,](\d{1,2})$/);
+  const units = (decimalMatch ? decimalMatch[1] : digits).replace(/[.,]/g, '');
+  const cents = decimalMatch ? decimalMatch[2].padEnd(2, '0') : '00';
+  const amount = parseInt(units, 10) * 100 + parseInt(cents, 10);
+  if (!Number.isFinite(amount)) {
+    return null;
+  }
+
+  const symbol = Object.keys(CURRENCY_SYMBOLS)
+    .sort((a, b) => b.length - a.length)
+    .find(candidate => value.includes(candidate));
+
+  return { amount, currency: symbol ? CURRENCY_SYMBOLS[symbol] : defaultCurrency };
+}
+
+/**
+ * Maps an availability text or schema.org value to an availability code
+ * @param {string} text - e.g. "Auf Lager", "Vorbestellbar" or "https://schema.org/InStock"
+ * @returns {string} - 'in_stock', 'preorder', 'out_of_stock' or 'unknown'
+ */
+function parseAvailability(text) {
+  const value = String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  if (!value) {
+    return 'unknown';
+  }
+
+  // Checked in the order of AVAILABILITY_TEXTS, so negated texts win over the positive ones they contain
+  for (const [availability, texts] of Object.entries(AVAILABILITY_TEXTS)) {
+    if (texts.some(candidate => containsPhrase(value, candidate))) {
+      return availability;
+    }
+  }
+  return 'unknown';
+}
+
+/**
+ * Builds an offer from the values an extractor found
+ * @param {Object} rawOffer - { format, price, availability, url, selected }
+ * @param {Object} options - Offer options
+ * @param {string} options.currency - ISO currency of the shop, used when the price has no symbol
+ * @param {string} options.baseUrl - Base for relative URLs
+ * @param {string} options.productUrl - URL of the scraped product, used for the selected edition
+ * @returns {Object} - { format, amount, currency, availability, url, selected }
+ */
+function createOffer(rawOffer, options = {}) {
+  const { currency = '', baseUrl, productUrl = '' } = options;
+  const price = parsePrice(rawOffer.price, currency);
+
+  let url = rawOffer.url || '';
+  if (url && baseUrl) {
+    try {
+      url = new URL(url, baseUrl).href;
+    } catch (error) {
+      url = '';
+    }
+  }
+  if (!url && rawOffer.selected) {
+    url = productUrl;
+  }
+
+  return {
+    format: String(rawOffer.format || '').replace(/\s+/g, ' ').trim(),
+    amount: price ? price.amount : null,
+    currency: price ? price.currency || currency : currency,
+    availability: parseAvailability(rawOffer.availability),
+    url,
+    selected: Boolean(rawOffer.selected)
+  };
+}
+
+/**
+ * Replaces the single display price with the offers of all editions. Pages
+ * without a format selector yield one offer for the scraped edition.
+ * @param {Object} bookData - Book data with raw offers, or a price, format and availability
+ * @param {Object} options - See createOffer()
+ * @returns {Object} - The book data with offers instead of price, priceValue and availability
+ */
+function normalizeOffers(bookData, options = {}) {
+  // priceValue is dropped together with the display price it was derived from
+  const { price, priceValue, availability, offers: rawOffers = [], ...rest } = bookData;
+
+  let offers = rawOffers;
+  if (offers.length === 0 && price) {
+    offers = [{ format: bookData.format || '', price, availability, selected: true }];
+  }
+
+  // The buy box price and availability belong to the scraped edition
+  offers = offers.map(offer => (offer.selected
+    ? { ...offer, price: offer.price || price, availability: offer.availability || availability }
+    : offer));
+
+  return {
+    ...rest,
+    offers: offers.map(offer => createOffer(offer, { currency: bookData.currency, ...options }))
+  };
+}
+
+module.exports = {
+  CURRENCY_SYMBOLS,
+  parsePrice,
+  parseAvailability,
+  createOffer,
+  normalizeOffers
+};
@@ -0,0 +1,221 @@
+/**
+ * Provider Registry
+ *
+ * Keeps track of the shops the server can scrape. Each provider registers a
+ * URL matcher, a canonical-ID extractor and a scrape function, so the API
+ * routes can pick the right provider for a URL without knowing about shops.
+ */
+
+const { InvalidUrlError, UnsupportedHostError } = require('./scrape-errors');
+
+const providers = new Map();
+
+/**
+ * Registers a scraping provider
+ * @param {Object} provider - The provider definition
+ * @param {string} provider.name - Unique provider name (e.g. 'amazon')
+ * @param {string} provider.label - Human readable shop name
+ * @param {string[]} provider.hosts - Shop domains the provider serves (subdomains included)
+ * @param {string[]} [provider.shortLinkHosts] - Link shortener domains that redirect to the shop
+ * @param {string[]} provider.urlPatterns - Example URL patterns the provider accepts
+ * @param {number} [provider.concurrency] - Maximum number of concurrent background jobs
+ * @param {Function} provider.matches - Returns whether the provider handles a URL
+ * @param {Function} provider.extractId - Returns the canonical product ID for a URL
+ * @param {Function} provider.scrape - Scrapes a URL and resolves to the book data
+ * @param {Function} [provider.fallbackData] - Returns placeholder values for a URL, used only on request
+ * @param {Function} [provider.search] - Searches the shop and resolves to { candidates, page, hasNextPage }
+ * @param {Function} [provider.resolveUrl] - Resolves short links and messy URLs to { url, ... } with the canonical product URL
+ * @returns {Object} - The registered provider
+ */
+function registerProvider(provider) {
+  if (!provider || !provider.name) {
+    throw new Error('Provider must have a name');
+  }
+
+  for (const fn of ['matches', 'extractId', 'scrape']) {
+    if (typeof provider[fn] !== 'function') {
+      throw new Error(`Provider "${provider.name}" must implement ${fn}()`);
+    }
+  }
+
+  if (providers.has(provider.name)) {
+    throw new Error(`Provider "${provider.name}" is already registered`);
+  }
+
+  providers.set(provider.name, provider);
+  return provider;
+}
+
+/**
+ * Finds the provider that handles a URL
+ * @param {string} url - The product URL
+ * @returns {Object|null} - The matching provider or null if none matches
+ */
+function findProviderForUrl(url) {
+  for (const provider of providers.values()) {
+    try {
+      if (provider.matches(url)) {
+        return provider;
+      }
+    } catch (error) {
+      // A broken matcher should not prevent other providers from matching
+      console.error(`Provider "${provider.name}" failed to match URL:`, error.message);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Finds the provider serving a host name
+ * @param {string} hostname - The host name (e.g. 'www.amazon.de')
+ * @returns {Object|null} - The provider or null if no provider serves the host
+ */
+function findProviderForHost(hostname) {
+  const host = hostname.toLowerCase();
+
+  for (const provider of providers.values()) {
+    const hosts = [...(provider.hosts || []), ...(provider.shortLinkHosts || [])];
+    if (hosts.some(domain => host === domain || host.endsWith(`.${domain}`))) {
+      return provider;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Finds the provider for a URL or throws a typed error explaining why there is none
+ * @param {string} url - The product URL
+ * @returns {Object} - The matching provider
+ * @throws {InvalidUrlError} - If the URL is malformed or not a product page of a known shop
+ * @throws {UnsupportedHostError} - If no provider serves the URL's host
+ */
+function requireProviderForUrl(url) {
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch (error) {
+    throw new InvalidUrlError('Invalid URL');
+  }
+
+  if (urlObj.protocol !== 'http:' && urlObj.protocol !== 'https:') {
+    throw new InvalidUrlError('Invalid URL');
+  }
+
+  const provider = findProviderForUrl(url);
+  if (provider) {
+    return provider;
+  }
+
+  const hostProvider = findProviderForHost(urlObj.hostname);
+  if (hostProvider) {
+    throw new InvalidUrlError(`Not a product URL for ${hostProvider.label || hostProvider.name}`);
+  }
+
+  throw new UnsupportedHostError(`Unsupported host: ${urlObj.hostname}`);
+}
+
+/**
+ * Resolves any shop link (short link, share link, product URL with tracking
+ * parameters, ...) to the canonical product URL of its provider
+ * @param {string} url - The URL to resolve
+ * @returns {Promise<Object>} - The provider and the resolution, which has at least the canonical url and its id
+ * @throws {InvalidUrlError|UnsupportedHostError} - If the URL cannot be resolved to a product
+ */
+async function resolveProviderUrl(url) {
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch (error) {
+    throw new InvalidUrlError('Invalid URL');
+  }
+
+  if (urlObj.protocol !== 'http:' && urlObj.protocol !== 'https:') {
+    throw new InvalidUrlError('Invalid URL');
+  }
+
+  const provider = findProviderForHost(urlObj.hostname);
+  if (!provider) {
+    throw new UnsupportedHostError(`Unsupported host: ${urlObj.hostname}`);
+  }
+
+  let resolution;
+  if (provider.resolveUrl) {
+    resolution = await provider.resolveUrl(url);
+  } else if (provider.matches(url)) {
+    // Providers without a resolver only accept URLs they can scrape as they are
+    resolution = { url };
+  } else {
+    throw new InvalidUrlError(`Not a product URL for ${provider.label || provider.name}`);
+  }
+
+  return {
+    provider,
+    ...resolution,
+    id: provider.extractId(resolution.url)
+  };
+}
+
+/**
+ * Finds the provider and the URL to scrape for a requested URL. Links a
+ * provider cannot scrape as they are (amzn.to and amzn.eu/d/... short links,
+ * Thalia share links and /shop/home/suche redirects, ...) are resolved to the
+ * product URL first by providers that have a resolver.
+ * @param {string} url - The requested URL
+ * @returns {Promise<Object>} - { provider, url } with the URL to scrape
+ * @throws {InvalidUrlError|UnsupportedHostError} - See requireProviderForUrl() and resolveProviderUrl()
+ */
+async function requireProviderForScrape(url) {
+  const provider = findProviderForUrl(url);
+  if (provider) {
+    return { provider, url };
+  }
+
+  let hostProvider = null;
+  try {
+    hostProvider = findProviderForHost(new URL(url).hostname);
+  } catch (error) {
+    // requireProviderForUrl() reports the malformed URL
+  }
+
+  if (hostProvider && hostProvider.resolveUrl) {
+    const { provider: resolvedProvider, url: resolvedUrl } = await resolveProviderUrl(url);
+    return { provider: resolvedProvider, url: resolvedUrl };
+  }
+
+  return { provider: requireProviderForUrl(url), url };
+}
+
+/**
+ * Gets a registered provider by name
+ * @param {string} name - The provider name
+ * @returns {Object|null} - The provider or null if not registered
+ */
+function getProvider(name) {
+  return providers.get(name) || null;
+}
+
+/**
+ * Lists the registered providers in a form suitable for API responses
+ * @returns {Array<Object>} - Provider names, labels, accepted URL patterns and job concurrency
+ */
+function listProviders() {
+  return Array.from(providers.values()).map(provider => ({
+    name: provider.name,
+    label: provider.label || provider.name,
+    urlPatterns: provider.urlPatterns || [],
+    concurrency: provider.concurrency || 1
+  }));
+}
+
+module.exports = {
+  registerProvider,
+  findProviderForUrl,
+  findProviderForHost,
+  requireProviderForUrl,
+  requireProviderForScrape,
+  resolveProviderUrl,
+  getProvider,
+  listProviders
+};
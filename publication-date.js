@@ -0,0 +1,158 @@
+/**
+ * Publication Date Parsing
+ *
+ * Converts the publication dates the shops display ("11. April 2025",
+ * "April 11, 2025", "1er mars 2021", "11.04.2025", "März 2021", "2019", ...)
+ * to ISO 8601. Dates that only name a month or a year keep that reduced
+ * precision ("2021-03", "2019") instead of being padded to a made-up day.
+ */
+
+// Month names and abbreviations of every marketplace language (de, en, fr, it, es, nl), lower case
+const MONTH_NAMES = {
+  1: ['januar', 'jänner', 'january', 'janvier', 'gennaio', 'enero', 'januari', 'jan', 'jän', 'janv', 'genn', 'ene'],
+  2: ['februar', 'feber', 'february', 'février', 'fevrier', 'febbraio', 'febrero', 'februari', 'feb', 'févr', 'fevr', 'febb'],
+  3: ['märz', 'maerz', 'march', 'mars', 'marzo', 'maart', 'mar', 'mär', 'mrz', 'mrt'],
+  4: ['april', 'avril', 'aprile', 'abril', 'apr', 'avr', 'abr'],
+  5: ['mai', 'may', 'maggio', 'mayo', 'mei', 'magg'],
+  6: ['juni', 'june', 'juin', 'giugno', 'junio', 'jun', 'giu'],
+  7: ['juli', 'july', 'juillet', 'luglio', 'julio', 'jul', 'juil', 'lug'],
+  8: ['august', 'août', 'aout', 'agosto', 'augustus', 'aug', 'ago'],
+  9: ['september', 'septembre', 'settembre', 'septiembre', 'setiembre', 'sep', 'sept', 'set'],
+  10: ['oktober', 'october', 'octobre', 'ottobre', 'octubre', 'okt', 'oct', 'ott'],
+  11: ['november', 'novembre', 'noviembre', 'nov'],
+  12: ['dezember', 'december', 'décembre', 'decembre', 'dicembre', 'diciembre', 'dez', 'dec', 'déc', 'dic']
+};
+
+const MONTHS_BY_NAME = new Map(
+  Object.entries(MONTH_NAMES).flatMap(([month, names]) => names.map(name => [name, Number(month)]))
+);
+
+// A month name, optionally abbreviated with a trailing dot
+const MONTH = '([a-zà-ÿ]+)\\.?';
+
+// Patterns from most to least specific; groups are named after the date parts
+const DATE_PATTERNS = [
+  // 2025-04-11, 2025-04-11T00:00:00Z
+  { pattern: /\b(\d{4})-(\d{1,2})-(\d{1,2})(?:T[\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?\b/, parts: ['year', 'month', 'day'] },
+  // 11.04.2025, 11/04/2025 (day first, as in every supported marketplace but amazon.com)
+  { pattern: /\b(\d{1,2})[./](\d{1,2})[./](\d{4})\b/, parts: ['day', 'month', 'year'] },
+  // 11. April 2025, 1er mars 2021, 11 de abril de 2025
+  { pattern: new RegExp(`\\b(\\d{1,2})(?:\\.|er|º)?\\s+(?:de\\s+)?${MONTH}\\s+(?:de\\s+)?(\\d{4})\\b`, 'i'), parts: ['day', 'monthName', 'year'] },
+  // April 11, 2025
+  { pattern: new RegExp(`\\b${MONTH}\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})\\b`, 'i'), parts: ['monthName', 'day', 'year'] },
+  // 2025-04
+  { pattern: /\b(\d{4})-(\d{1,2})\b/, parts: ['year', 'month'] },
+  // 04.2025, 04/2025
+  { pattern: /\b(\d{1,2})[./](\d{4})\b/, parts: ['month', 'year'] },
+  // März 2021, marzo de 2021
+  { pattern: new RegExp(`\\b${MONTH}\\s+(?:de\\s+)?(\\d{4})\\b`, 'i'), parts: ['monthName', 'year'] },
+  // 2019
+  { pattern: /\b(\d{4})\b/, parts: ['year'] }
+];
+
+/**
+ * Looks up a month name in any supported language
+ * @param {string} name - The month name or abbreviation (e.g. "März", "Sept")
+ * @returns {number|null} - The month number (1-12) or null if unknown
+ */
+function parseMonthName(name) {
+  return MONTHS_BY_NAME.get(name.toLowerCase()) || null;
+}
+
+/**
+ * Checks that a date exists in the calendar
+ * @param {number} year - The year
+ * @param {number} month - The month (1-12)
+ * @param {number} day - The day of the month
+ * @returns {boolean} - Whether the date is valid
+ */
+function isValidDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * Formats date parts as ISO 8601 with the given precision
+ * @param {Object} parts - { year, month, day }
+ * @returns {string} - "YYYY-MM-DD", "YYYY-MM" or "YYYY"
+ */
+function formatIsoDate({ year, month, day }) {
+  const pad = value => String(value).padStart(2, '0');
+  if (day) {
+    return `${year}-${pad(month)}-${pad(day)}`;
+  }
+  if (month) {
+    return `${year}-${pad(month)}`;
+  }
+  return String(year);
+}
+
+/**
+ * Parses a publication date in any supported language
+ * @param {string} value - The date as displayed by the shop
+ * @returns {Object|null} - { iso, precision } with precision 'day', 'month' or 'year', or null if no date was found or the date does not exist
+ */
+function parsePublicationDate(value) {
+  if (!value) {
+    return null;
+  }
+
+  const text = String(value).replace(/[\u200e\u200f]/g, '').replace(/\s+/g, ' ').trim();
+
+  for (const { pattern, parts } of DATE_PATTERNS) {
+    const match = text.match(pattern);
+    if (!match) {
+      continue;
+    }
+
+    const date = {};
+    parts.forEach((part, index) => {
+      const raw = match[index + 1];
+      if (part === 'monthName') {
+        date.month = parseMonthName(raw);
+      } else {
+        date[part] = parseInt(raw, 10);
+      }
+    });
+
+    // A word that is not a month name may still match a less specific pattern
+    if (parts.includes('monthName') && !date.month) {
+      continue;
+    }
+    // An impossible full date ("30. Februar 2021") is unreadable, not a month or a year
+    if (parts.includes('day') && !isValidDate(date.year, date.month, date.day)) {
+      return null;
+    }
+    if (date.month && (date.month < 1 || date.month > 12)) {
+      continue;
+    }
+
+    const precision = date.day ? 'day' : date.month ? 'month' : 'year';
+    return { iso: formatIsoDate(date), precision };
+  }
+
+  return null;
+}
+
+/**
+ * Adds publicationDateISO and publicationDatePrecision to book data. Both
+ * are always present and null if the publication date is missing or unreadable.
+ * @param {Object} bookData - Book data with the displayed publicationDate
+ * @returns {Object} - The book data with the ISO date and its precision
+ */
+function normalizePublicationDate(bookData) {
+  const parsed = parsePublicationDate(bookData.publicationDate);
+
+  return {
+    ...bookData,
+    publicationDateISO: parsed ? parsed.iso : null,
+    publicationDatePrecision: parsed ? parsed.precision : null
+  };
+}
+
+module.exports = {
+  MONTH_NAMES,
+  parseMonthName,
+  parsePublicationDate,
+  normalizePublicationDate
+};
@@ -0,0 +1,192 @@
+/**
+ * Scrape Result Cache
+ *
+ * Caches scraped book data by canonical product identifier (ASIN, Thalia
+ * article ID, ...) so that different URLs for the same product share one
+ * entry. Entries expire after a configurable TTL and can be kept in memory
+ * or in JSON files on disk.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * In-memory cache backend
+ */
+class MemoryCacheStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {number} options.maxEntries - Maximum number of entries before the oldest is evicted
+   */
+  constructor(options = {}) {
+    const { maxEntries = 1000 } = options;
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    return this.entries.get(key) || null;
+  }
+
+  async set(key, entry) {
+    // Re-insert so the Map keeps entries in write order for eviction
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    if (this.entries.size > this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+}
+
+/**
+ * File-backed cache backend storing one JSON file per entry
+ */
+class FileCacheStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.directory - Directory for the cache files
+   */
+  constructor(options = {}) {
+    const { directory = path.join(os.tmpdir(), 'book-scraper-cache') } = options;
+    this.directory = directory;
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  /**
+   * Maps a cache key to a file path
+   * @param {string} key - The cache key
+   * @returns {string} - The file path
+   */
+  filePath(key) {
+    return path.join(this.directory, `${key.replace(/[^a-zA-Z0-9_-]/g, '_')}.json`);
+  }
+
+  async get(key) {
+    try {
+      const content = await fs.promises.readFile(this.filePath(key), 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      // Missing or corrupt files are treated as cache misses
+      return null;
+    }
+  }
+
+  async set(key, entry) {
+    // Write to a temporary file first so readers never see a partial entry
+    // The random suffix keeps concurrent writers of the same key apart
+    const target = this.filePath(key);
+    const tempFile = `${target}.${crypto.randomUUID()}.tmp`;
+    try {
+      await fs.promises.writeFile(tempFile, JSON.stringify(entry));
+      await fs.promises.rename(tempFile, target);
+    } catch (error) {
+      await fs.promises.rm(tempFile, { force: true });
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.filePath(key), { force: true });
+  }
+}
+
+class ScrapeCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {Object} options.store - The backend (MemoryCacheStore or FileCacheStore)
+   * @param {number} options.ttl - Time to live in milliseconds
+   */
+  constructor(options = {}) {
+    const {
+      store = new MemoryCacheStore(),
+      ttl = 24 * 60 * 60 * 1000
+    } = options;
+
+    this.store = store;
+    this.ttl = ttl;
+  }
+
+  /**
+   * Gets a cached value
+   * @param {string} key - The cache key
+   * @returns {Promise<*|null>} - The cached value or null if missing or expired
+   */
+  async get(key) {
+    const entry = await this.store.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      await this.store.delete(key);
+      return null;
+    }
+
+    return entry.value;
+  }
+
+  /**
+   * Stores a value
+   * @param {string} key - The cache key
+   * @param {*} value - The JSON-serializable value
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    await this.store.set(key, {
+      value,
+      cachedAt: Date.now(),
+      expiresAt: Date.now() + this.ttl
+    });
+  }
+}
+
+/**
+ * Builds the cache key for a URL from the provider's canonical ID
+ * @param {Object} provider - The provider from the registry
+ * @param {string} url - The product URL
+ * @returns {string|null} - The cache key or null if the URL has no canonical ID
+ */
+function getCacheKey(provider, url) {
+  const id = provider.extractId(url);
+  return id ? `${provider.name}:${id}` : null;
+}
+
+/**
+ * Creates the scrape cache from environment configuration.
+ * SCRAPE_CACHE_BACKEND selects 'memory' (default) or 'file', SCRAPE_CACHE_TTL is
+ * the TTL in seconds and SCRAPE_CACHE_DIR the directory of the file backend.
+ * @returns {ScrapeCache} - The configured cache
+ */
+function createScrapeCache() {
+  const backend = process.env.SCRAPE_CACHE_BACKEND || 'memory';
+  const ttlSeconds = parseInt(process.env.SCRAPE_CACHE_TTL, 10) || 24 * 60 * 60;
+
+  let store;
+  if (backend === 'file') {
+    store = new FileCacheStore({ directory: process.env.SCRAPE_CACHE_DIR || undefined });
+  } else if (backend === 'memory') {
+    store = new MemoryCacheStore();
+  } else {
+    throw new Error(`Unknown cache backend "${backend}"`);
+  }
+
+  console.log(`Scrape cache: ${backend} backend with ${ttlSeconds}s TTL`);
+
+  return new ScrapeCache({ store, ttl: ttlSeconds * 1000 });
+}
+
+module.exports = {
+  MemoryCacheStore,
+  FileCacheStore,
+  ScrapeCache,
+  getCacheKey,
+  createScrapeCache
+};
@@ -0,0 +1,187 @@
+/**
+ * Scrape Error Taxonomy
+ *
+ * Typed errors with stable codes so API clients can tell an invalid URL
+ * from a missing product, a bot block or a timeout. Each error carries the
+ * HTTP status the routes respond with and whether retrying can help.
+ */
+
+class ScrapeError extends Error {
+  /**
+   * @param {string} message - Human readable error message
+   * @param {Object} options - Error options
+   * @param {string} options.code - Stable error code
+   * @param {number} options.status - HTTP status code for API responses
+   * @param {boolean} options.retryable - Whether retrying the scrape can succeed
+   * @param {Error} options.cause - The underlying error, if any
+   */
+  constructor(message, options = {}) {
+    const {
+      code = 'SCRAPER_ERROR',
+      status = 500,
+      retryable = false,
+      cause = null
+    } = options;
+
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = status;
+    this.retryable = retryable;
+    if (cause) {
+      this.cause = cause;
+    }
+  }
+}
+
+class InvalidUrlError extends ScrapeError {
+  constructor(message = 'Invalid URL', options = {}) {
+    super(message, { ...options, code: 'INVALID_URL', status: 400, retryable: false });
+  }
+}
+
+class InvalidOptionError extends ScrapeError {
+  constructor(message = 'Invalid option', options = {}) {
+    super(message, { ...options, code: 'INVALID_OPTION', status: 400, retryable: false });
+  }
+}
+
+class InvalidIsbnError extends ScrapeError {
+  constructor(message = 'Invalid ISBN', options = {}) {
+    super(message, { ...options, code: 'INVALID_ISBN', status: 400, retryable: false });
+  }
+}
+
+class UnsupportedHostError extends ScrapeError {
+  constructor(message = 'Unsupported host', options = {}) {
+    super(message, { ...options, code: 'UNSUPPORTED_HOST', status: 422, retryable: false });
+  }
+}
+
+class NotFoundError extends ScrapeError {
+  constructor(message = 'Product not found', options = {}) {
+    super(message, { ...options, code: 'NOT_FOUND', status: 404, retryable: false });
+  }
+}
+
+class BlockedError extends ScrapeError {
+  constructor(message = 'Request was blocked by the shop', options = {}) {
+    super(message, { ...options, code: 'BLOCKED', status: 429, retryable: true });
+  }
+}
+
+class TimeoutError extends ScrapeError {
+  constructor(message = 'The shop did not respond in time', options = {}) {
+    super(message, { ...options, code: 'TIMEOUT', status: 504, retryable: true });
+  }
+}
+
+class ParseFailedError extends ScrapeError {
+  constructor(message = 'Could not extract book data from the page', options = {}) {
+    super(message, { ...options, code: 'PARSE_FAILED', status: 502, retryable: false });
+  }
+}
+
+class UpstreamError extends ScrapeError {
+  constructor(message = 'The shop returned an error', options = {}) {
+    super(message, { ...options, code: 'UPSTREAM_ERROR', status: 502, retryable: true });
+  }
+}
+
+// Network error codes that mean the shop could not be reached
+const TIMEOUT_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT'];
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'EPIPE'];
+
+// Chromium network failures surface as "net::ERR_..." navigation errors
+const BROWSER_NETWORK_ERROR_PATTERN = /net::ERR_/;
+
+// Puppeteer messages seen when the pooled browser crashed under the scrape
+const BROWSER_CRASH_PATTERN = /Target closed|Session closed|Protocol error|browser has disconnected/i;
+
+/**
+ * Creates the typed error for an HTTP status returned by a shop
+ * @param {number} status - The upstream HTTP status
+ * @param {string} url - The requested URL
+ * @param {Error} cause - The underlying error, if any
+ * @returns {ScrapeError} - The typed error
+ */
+function errorFromHttpStatus(status, url, cause = null) {
+  if (status === 404 || status === 410) {
+    return new NotFoundError(`Product not found at ${url}`, { cause });
+  }
+  if (status === 429 || status === 503) {
+    return new BlockedError(`The shop blocked the request (HTTP ${status})`, { cause });
+  }
+  return new UpstreamError(`The shop responded with HTTP ${status}`, { cause });
+}
+
+/**
+ * Converts any error thrown while scraping into a ScrapeError
+ * @param {Error} error - The error to classify
+ * @returns {ScrapeError} - The typed error
+ */
+function toScrapeError(error) {
+  if (error instanceof ScrapeError) {
+    return error;
+  }
+
+  // axios errors carry the upstream response or a network error code
+  if (error && error.response && error.response.status) {
+    return errorFromHttpStatus(error.response.status, error.config && error.config.url, error);
+  }
+
+  if (error && (TIMEOUT_ERROR_CODES.includes(error.code) || error.name === 'TimeoutError')) {
+    return new TimeoutError(error.message, { cause: error });
+  }
+
+  if (error && NETWORK_ERROR_CODES.includes(error.code)) {
+    return new UpstreamError(`Could not reach the shop: ${error.message}`, { cause: error });
+  }
+
+  const message = (error && error.message) || 'An error occurred during scraping';
+
+  if (BROWSER_NETWORK_ERROR_PATTERN.test(message)) {
+    return new UpstreamError(`Could not reach the shop: ${message}`, { cause: error });
+  }
+
+  if (BROWSER_CRASH_PATTERN.test(message)) {
+    return new ScrapeError(message, { retryable: true, cause: error });
+  }
+
+  return new ScrapeError(message, { cause: error });
+}
+
+/**
+ * Builds the HTTP status and JSON body for a failed scrape
+ * @param {Error} error - The error to report
+ * @returns {Object} - { status, body } for the Express response
+ */
+function toErrorResponse(error) {
+  const scrapeError = toScrapeError(error);
+
+  return {
+    status: scrapeError.status,
+    body: {
+      success: false,
+      error: scrapeError.message,
+      errorCode: scrapeError.code,
+      retryable: scrapeError.retryable
+    }
+  };
+}
+
+module.exports = {
+  ScrapeError,
+  InvalidUrlError,
+  InvalidOptionError,
+  InvalidIsbnError,
+  UnsupportedHostError,
+  NotFoundError,
+  BlockedError,
+  TimeoutError,
+  ParseFailedError,
+  UpstreamError,
+  errorFromHttpStatus,
+  toScrapeError,
+  toErrorResponse
+};
@@ -0,0 +1,152 @@
+/**
+ * Series Detection
+ *
+ * Reads the series name and the book's position in it from the texts the
+ * shops print next to the title ("Buch 3 von 7: Die Mitternachts-Reihe",
+ * "Ein Fall für Isabelle Bonnet Band 1", "Book 2.5 of 6: ...",
+ * "(Dune, Tome 3)") and from schema.org isPartOf data.
+ */
+
+// Words for "book", "volume" or "part" in every marketplace language
+const VOLUME_WORD = '(?:Buch|Band|Bd\\.?|Teil|Folge|Book|Volume|Vol\\.?|Part|Livre|Tome|Libro|Volumen|Boek|Deel|#)';
+
+// Words for "edition" in every marketplace language; "(Ausgabe 2021)" names an edition, not a series
+const EDITION_WORD = '(?:Ausgabe|Auflage|Neuauflage|Sonderausgabe|Edition|Edición|Édition|Edizione|Editie|Druk|Uitgave|Version)';
+
+// Series names that are only a volume or edition word, as left over by "(Band 1)" or "(Edition 2)"
+const NON_SERIES_PATTERN = new RegExp(`^(?:${VOLUME_WORD}|${EDITION_WORD})$`, 'i');
+
+// A position such as 3, 2.5 or 2,5
+const NUMBER = '(\\d+(?:[.,]\\d+)?)';
+
+const SERIES_PATTERNS = [
+  // Amazon: "Buch 3 von 7: Serie", "Book 3 of 7: Series", "Livre 3 sur 7 : Série"
+  {
+    pattern: new RegExp(`^${VOLUME_WORD}\\s*${NUMBER}\\s+(?:von|of|sur|di|de|van)\\s+(\\d+)\\s*:\\s*(.+)$`, 'i'),
+    parts: ['number', 'total', 'series']
+  },
+  // "Buch 3: Serie" (series with an unknown number of books)
+  { pattern: new RegExp(`^${VOLUME_WORD}\\s*${NUMBER}\\s*:\\s*(.+)$`, 'i'), parts: ['number', 'series'] },
+  // "Serie, Band 3", "Ein Fall für Isabelle Bonnet Band 1", "Series Book 2.5", "Serie #3"
+  { pattern: new RegExp(`^(.+?)[\\s,:;-]+${VOLUME_WORD}\\s*${NUMBER}$`, 'i'), parts: ['series', 'number'] },
+  // "Serie 3" as used in Amazon title suffixes such as "(Die Mitternachts-Reihe 3)"
+  { pattern: new RegExp(`^(.+?)\\s+${NUMBER}$`), parts: ['series', 'number'] }
+];
+
+/**
+ * Parses a series text
+ * @param {string} text - e.g. "Buch 3 von 7: Die Mitternachts-Reihe" or "Ein Fall für Isabelle Bonnet Band 1"
+ * @param {Object} options - Parse options
+ * @param {boolean} options.requireVolumeWord - Reject "Name 3" texts without a word like "Band" or "Book"
+ * @returns {Object|null} - { series, seriesNumber } or null if the text names no series
+ */
+function parseSeriesText(text, options = {}) {
+  const { requireVolumeWord = false } = options;
+  const cleaned = String(text || '').replace(/[\u200e\u200f]/g, '').replace(/\s+/g, ' ').trim();
+  if (!cleaned) {
+    return null;
+  }
+
+  const patterns = requireVolumeWord ? SERIES_PATTERNS.slice(0, -1) : SERIES_PATTERNS;
+  for (const { pattern, parts } of patterns) {
+    const match = cleaned.match(pattern);
+    if (!match) {
+      continue;
+    }
+
+    const values = {};
+    parts.forEach((part, index) => {
+      values[part] = match[index + 1];
+    });
+
+    const series = values.series.replace(/^[\s(,:;-]+|[\s),:;-]+$/g, '');
+    if (!series || NON_SERIES_PATTERN.test(series)) {
+      continue;
+    }
+
+    return {
+      series,
+      seriesNumber: parseSeriesNumber(values.number)
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Parses a position in a series
+ * @param {string|number} value - e.g. "3", "2.5" or "2,5"
+ * @returns {number|null} - The position or null if it is not a number
+ */
+function parseSeriesNumber(value) {
+  const number = parseFloat(String(value === undefined || value === null ? '' : value).replace(',', '.'));
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Reads the series from a title suffix in parentheses, e.g. "Dune (Der Wüstenplanet, Band 3)".
+ * Suffixes without a volume word, such as "(Ausgabe 2021)", are not taken for a series.
+ * @param {string} title - The book title
+ * @returns {Object|null} - See parseSeriesText()
+ */
+function parseSeriesFromTitle(title) {
+  const match = String(title || '').match(/\(([^()]+)\)\s*$/);
+  return match ? parseSeriesText(match[1], { requireVolumeWord: true }) : null;
+}
+
+/**
+ * Reads the series from schema.org data, e.g. { isPartOf: { @type: "BookSeries", name, url }, position }
+ * @param {Object|null} structuredData - The JSON-LD book
+ * @returns {Object|null} - { series, seriesNumber, seriesUrl } or null if the book is not part of a series
+ */
+function parseSeriesFromStructuredData(structuredData) {
+  if (!structuredData) {
+    return null;
+  }
+
+  const partOf = [].concat(structuredData.isPartOf || [])
+    .find(item => item && typeof item === 'object' && /Series|Periodical/i.test([].concat(item['@type'] || '').join(' ')));
+  if (!partOf || !partOf.name) {
+    return null;
+  }
+
+  return {
+    series: String(partOf.name).trim(),
+    seriesNumber: parseSeriesNumber(structuredData.position || structuredData.volumeNumber),
+    seriesUrl: partOf.url || ''
+  };
+}
+
+/**
+ * Splits the raw series text an extractor found into series name and
+ * number, falling back to a series named in the title
+ * @param {Object} bookData - Book data with the raw series, seriesNumber, seriesUrl and title
+ * @returns {Object} - The book data with series, seriesNumber (a number or null) and seriesUrl
+ */
+function normalizeSeries(bookData) {
+  let series = String(bookData.series || '').replace(/\s+/g, ' ').trim();
+  let seriesNumber = parseSeriesNumber(bookData.seriesNumber);
+
+  const parsed = series
+    ? parseSeriesText(series, { requireVolumeWord: true })
+    : parseSeriesFromTitle(bookData.title);
+  if (parsed) {
+    series = parsed.series;
+    seriesNumber = seriesNumber === null ? parsed.seriesNumber : seriesNumber;
+  }
+
+  return {
+    ...bookData,
+    series,
+    seriesNumber: series ? seriesNumber : null,
+    seriesUrl: series ? bookData.seriesUrl || '' : ''
+  };
+}
+
+module.exports = {
+  parseSeriesText,
+  parseSeriesNumber,
+  parseSeriesFromTitle,
+  parseSeriesFromStructuredData,
+  normalizeSeries
+};
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const { extractBookData, matchDetailLabel } = require('../amazon-extractor');
+
+/**
+ * Loads an HTML fixture from test/fixtures
+ * @param {string} name - The file name
+ * @returns {CheerioStatic} - The Cheerio instance
+ */
+function loadFixture(name) {
+  return cheerio.load(fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8'));
+}
+
+test('matchDetailLabel maps the labels of every marketplace language', () => {
+  assert.strictEqual(matchDetailLabel('ISBN-10'), 'isbn');
+  assert.strictEqual(matchDetailLabel('ISBN-13'), 'isbn13');
+  assert.strictEqual(matchDetailLabel('Print length'), 'pageCount');
+  assert.strictEqual(matchDetailLabel('Seitenzahl der Print-Ausgabe'), 'pageCount');
+  assert.strictEqual(matchDetailLabel('Nombre de pages de l\'édition imprimée'), 'pageCount');
+  assert.strictEqual(matchDetailLabel('Audible.de Erscheinungsdatum'), 'publicationDate');
+  assert.strictEqual(matchDetailLabel('Text-to-Speech (Vorlesefunktion)'), 'textToSpeech');
+  assert.strictEqual(matchDetailLabel('Éditeur'), 'publisher');
+});
+
+test('matchDetailLabel ignores the source ISBN of a Kindle book\'s page numbers', () => {
+  assert.strictEqual(matchDetailLabel('Page numbers source ISBN'), null);
+  assert.strictEqual(matchDetailLabel('ISBN-Quelle für Seitenzahl'), null);
+});
+
+test('extractBookData reads the page count of a Kindle book with a page numbers source row', () => {
+  const bookData = extractBookData(loadFixture('amazon-kindle-page-source.html'), 'B084129WKN');
+
+  assert.strictEqual(bookData.pageCount, '304');
+  assert.strictEqual(bookData.isbn || '', '');
+  assert.strictEqual(bookData.publisher, 'Viking');
+  assert.strictEqual(bookData.fileSize, '3288 KB');
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getMarketplaceForHost, getMarketplaceForUrl } = require('../amazon-marketplaces');
+const { canonicalizeAmazonUrl } = require('../amazon-url');
+
+test('every subdomain of a marketplace belongs to it', () => {
+  assert.strictEqual(getMarketplaceForHost('amazon.de').id, 'de');
+  assert.strictEqual(getMarketplaceForHost('www.amazon.de').id, 'de');
+  assert.strictEqual(getMarketplaceForHost('m.amazon.de').id, 'de');
+  assert.strictEqual(getMarketplaceForHost('smile.amazon.de').id, 'de');
+  assert.strictEqual(getMarketplaceForHost('WWW.Amazon.CO.UK').id, 'co.uk');
+  assert.strictEqual(getMarketplaceForUrl('https://smile.amazon.com/dp/0553418025').id, 'com');
+});
+
+test('other hosts are not marketplaces', () => {
+  assert.strictEqual(getMarketplaceForHost('amazon.ca'), null);
+  assert.strictEqual(getMarketplaceForHost('notamazon.de'), null);
+  assert.strictEqual(getMarketplaceForHost('amazon.de.example.com'), null);
+  assert.strictEqual(getMarketplaceForUrl('not a url'), null);
+});
+
+test('subdomain links canonicalize to the www product URL', () => {
+  assert.deepStrictEqual(canonicalizeAmazonUrl('https://m.amazon.de/dp/3426282570?ref=mobile'), {
+    url: 'https://www.amazon.de/dp/3426282570',
+    asin: '3426282570',
+    marketplace: 'amazon.de'
+  });
+  assert.strictEqual(canonicalizeAmazonUrl('https://smile.amazon.de/gp/product/3426282570').url, 'https://www.amazon.de/dp/3426282570');
+});
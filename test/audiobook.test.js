@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseAbridged, normalizeAudiobook } = require('../audiobook');
+
+test('version texts in every marketplace language', () => {
+  assert.strictEqual(parseAbridged('Ungekürzte Lesung'), false);
+  assert.strictEqual(parseAbridged('Gekürzte Fassung'), true);
+  assert.strictEqual(parseAbridged('Unabridged'), false);
+  assert.strictEqual(parseAbridged('Abridged'), true);
+  assert.strictEqual(parseAbridged('Version intégrale'), false);
+  assert.strictEqual(parseAbridged('Version abrégée'), true);
+  assert.strictEqual(parseAbridged('Versión íntegra'), false);
+  assert.strictEqual(parseAbridged('Onverkorte uitgave'), false);
+  assert.strictEqual(parseAbridged(true), true);
+  assert.strictEqual(parseAbridged('', 'Hörbuch-Download, gekürzt'), true);
+  assert.strictEqual(parseAbridged('Hörbuch-Download'), null);
+});
+
+test('version texts only count as whole words', () => {
+  assert.strictEqual(parseAbridged('Integralmente letto'), null);
+  assert.strictEqual(parseAbridged('Completamente nuevo'), null);
+  assert.strictEqual(parseAbridged('Verkorting'), null);
+});
+
+test('the title and subtitle are not read for the version', () => {
+  const bookData = normalizeAudiobook({
+    format: 'audiobook_download',
+    formatLabel: 'Hörbuch-Download',
+    title: 'Die gekürzte Fassung',
+    subtitle: 'Roman (ungekürzt)',
+    abridged: '',
+    contributors: []
+  });
+  assert.strictEqual(bookData.abridged, null);
+});
@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EXPECTED_FIELDS, assessBookData, applyFallbackValues, failedBookData } = require('../book-result');
+const { UpstreamError } = require('../scrape-errors');
+
+test('a scrape that fetched nothing stays failed after fallback values are applied', () => {
+  const bookData = applyFallbackValues(
+    failedBookData(new UpstreamError('Could not reach the shop: reset')),
+    { title: 'Book title not available', language: '' }
+  );
+
+  assert.strictEqual(bookData.status, 'failed');
+  assert.deepStrictEqual(bookData.missingFields, EXPECTED_FIELDS);
+  assert.deepStrictEqual(bookData.fallbackFields, ['title']);
+  assert.strictEqual(bookData.publicationDateISO, null);
+  assert.deepStrictEqual(bookData.scrapeError, { errorCode: 'UPSTREAM_ERROR', error: 'Could not reach the shop: reset' });
+});
+
+test('assessBookData grades results by their fields', () => {
+  assert.strictEqual(assessBookData({}).status, 'failed');
+  assert.strictEqual(assessBookData({ title: 'Der Schwarm' }).status, 'partial');
+});
@@ -0,0 +1,222 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const puppeteer = require('puppeteer');
+const { BrowserPool } = require('../browser-pool');
+
+const DEFAULT_USER_AGENT = 'HeadlessChrome/120.0.0.0';
+
+class FakePage extends EventEmitter {
+  constructor(context) {
+    super();
+    this.context = context;
+    this.closed = false;
+    this.currentUrl = 'about:blank';
+    this.userAgent = DEFAULT_USER_AGENT;
+    this.cdpCommands = [];
+  }
+
+  isClosed() {
+    return this.closed;
+  }
+
+  async close() {
+    this.closed = true;
+  }
+
+  browserContext() {
+    return this.context;
+  }
+
+  target() {
+    return {
+      createCDPSession: async () => ({
+        send: async (method, params) => this.cdpCommands.push({ method, params }),
+        detach: async () => {}
+      })
+    };
+  }
+
+  url() {
+    return this.currentUrl;
+  }
+
+  async setUserAgent(userAgent) {
+    this.userAgent = userAgent;
+  }
+
+  async setRequestInterception() {}
+
+  async setExtraHTTPHeaders() {}
+
+  async goto(url) {
+    this.currentUrl = url;
+  }
+}
+
+class FakeContext {
+  constructor() {
+    this.pages = [];
+    this.closed = false;
+  }
+
+  async newPage() {
+    const page = new FakePage(this);
+    this.pages.push(page);
+    return page;
+  }
+
+  async close() {
+    this.closed = true;
+    this.pages.forEach(page => { page.closed = true; });
+  }
+}
+
+class FakeBrowser extends EventEmitter {
+  async createIncognitoBrowserContext() {
+    return new FakeContext();
+  }
+
+  async userAgent() {
+    return DEFAULT_USER_AGENT;
+  }
+
+  async close() {
+    this.emit('disconnected');
+  }
+}
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const originalLaunch = puppeteer.launch;
+let launches;
+
+/**
+ * Replaces puppeteer.launch with launches that take the given steps in turn
+ * @param {Array<Object>} steps - { delay, fail } per launch; the last step repeats
+ */
+function stubLaunch(steps) {
+  launches = 0;
+  puppeteer.launch = async () => {
+    const step = steps[Math.min(launches, steps.length - 1)];
+    launches++;
+    await delay(step.delay || 0);
+    if (step.fail) {
+      throw new Error('Failed to launch the browser process');
+    }
+    return new FakeBrowser();
+  };
+}
+
+test.afterEach(() => {
+  puppeteer.launch = originalLaunch;
+});
+
+test('acquirePage reuses released pages', async () => {
+  stubLaunch([{}]);
+  const pool = new BrowserPool({ maxBrowsers: 1, maxPagesPerBrowser: 1, acquireTimeout: 500 });
+
+  const page = await pool.acquirePage();
+  const waiting = pool.acquirePage();
+  await pool.releasePage(page);
+
+  assert.strictEqual(await waiting, page);
+  assert.strictEqual(launches, 1);
+  await pool.close();
+});
+
+test('pages get their own context and are reset before they are reused', async () => {
+  stubLaunch([{}]);
+  const pool = new BrowserPool({ maxBrowsers: 1, maxPagesPerBrowser: 2, maxPageUses: 2, acquireTimeout: 500 });
+
+  const first = await pool.acquirePage();
+  const second = await pool.acquirePage();
+  assert.notStrictEqual(first.browserContext(), second.browserContext());
+
+  await first.setUserAgent('Mozilla/5.0 Scraper');
+  await first.goto('https://www.thalia.de/shop/home/artikeldetails/A1062385378');
+  await pool.releasePage(first);
+
+  assert.strictEqual(first.userAgent, DEFAULT_USER_AGENT);
+  assert.strictEqual(first.url(), 'about:blank');
+  assert.deepStrictEqual(first.cdpCommands.map(command => command.method), [
+    'Network.clearBrowserCookies',
+    'Storage.clearDataForOrigin'
+  ]);
+  assert.strictEqual(first.cdpCommands[1].params.origin, 'https://www.thalia.de');
+
+  // A page that reached its use limit is closed with its context
+  assert.strictEqual(await pool.acquirePage(), first);
+  await pool.releasePage(first);
+  assert.ok(first.browserContext().closed);
+  assert.strictEqual(pool.getStats().pagesRecycled, 1);
+  await pool.close();
+});
+
+test('a failed launch rejects its caller and the next waiting caller still gets a page', async () => {
+  stubLaunch([{}, { fail: true }, {}]);
+  const pool = new BrowserPool({ maxBrowsers: 1, maxPagesPerBrowser: 1, acquireTimeout: 1000 });
+
+  await pool.acquirePage();
+  const first = pool.acquirePage().then(() => 'page', error => error.message);
+  const second = pool.acquirePage().then(() => 'page', error => error.message);
+  await delay(10);
+
+  // The browser crashes; the replacement launch for the first caller fails
+  pool.browsers[0].browser.emit('disconnected');
+
+  assert.strictEqual(await first, 'Failed to launch the browser process');
+  assert.strictEqual(await second, 'page');
+  assert.strictEqual(launches, 3);
+  await pool.close();
+});
+
+test('a waiting caller times out at its deadline while a browser is launched for it', async () => {
+  stubLaunch([{}, { delay: 400 }]);
+  const pool = new BrowserPool({ maxBrowsers: 1, maxPagesPerBrowser: 1, acquireTimeout: 100 });
+
+  await pool.acquirePage();
+  const started = Date.now();
+  const waiting = pool.acquirePage().then(() => 'page', error => error.message);
+  await delay(10);
+  pool.browsers[0].browser.emit('disconnected');
+
+  assert.match(await waiting, /Timed out after 100ms/);
+  assert.ok(Date.now() - started < 300, 'the slow launch did not extend the deadline');
+
+  // The page launched for the caller that gave up goes back to the pool
+  await delay(450);
+  assert.strictEqual(pool.getStats().idlePages, 1);
+  assert.strictEqual(pool.getStats().acquireTimeouts, 1);
+  await pool.close();
+});
+
+test('a waiting caller put back in the queue keeps its deadline', async () => {
+  stubLaunch([{}]);
+  const pool = new BrowserPool({ maxBrowsers: 1, maxPagesPerBrowser: 1, acquireTimeout: 200 });
+
+  await pool.acquirePage();
+  const started = Date.now();
+  const waiting = pool.acquirePage().then(() => 'page', error => error.message);
+
+  // Capacity is freed and taken again before the caller gets it, again and again
+  const churn = setInterval(() => pool.serveWaiters(), 50);
+  const result = await waiting;
+  clearInterval(churn);
+
+  assert.match(result, /Timed out after 200ms/);
+  assert.ok(Date.now() - started < 400);
+  await pool.close();
+});
+
+test('close rejects waiting callers', async () => {
+  stubLaunch([{}]);
+  const pool = new BrowserPool({ maxBrowsers: 1, maxPagesPerBrowser: 1, acquireTimeout: 1000 });
+
+  await pool.acquirePage();
+  const waiting = pool.acquirePage().then(() => 'page', error => error.message);
+  await delay(10);
+  await pool.close();
+
+  assert.strictEqual(await waiting, 'Browser pool has been closed');
+});
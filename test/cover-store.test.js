@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { CoverStore } = require('../cover-store');
+
+const COVER_URL = 'https://images.thalia.media/-/BF2000-2000/cover.jpg';
+const originalGet = axios.get;
+let directory;
+let downloads;
+
+test.before(async () => {
+  const image = await sharp({ create: { width: 400, height: 600, channels: 3, background: '#336699' } }).jpeg().toBuffer();
+  axios.get = async () => {
+    downloads++;
+    return { data: image, headers: { 'content-type': 'image/jpeg' } };
+  };
+});
+
+test.after(() => {
+  axios.get = originalGet;
+});
+
+test.beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cover-store-test-'));
+  downloads = 0;
+});
+
+test.afterEach(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test('a stored cover is served from its files', async () => {
+  const store = new CoverStore({ directory });
+  await store.queueCover('9783426282571', COVER_URL, { title: 'Der Schwarm' });
+
+  const cover = await store.getCover('9783426282571', 'small');
+  assert.strictEqual(cover.contentType, 'image/jpeg');
+  assert.ok(fs.existsSync(cover.file));
+  assert.strictEqual(await store.isStored('9783426282571'), true);
+  assert.strictEqual(downloads, 1);
+});
+
+test('a cover whose files were deleted is not stored and is downloaded again', async () => {
+  const store = new CoverStore({ directory });
+  await store.queueCover('9783426282571', COVER_URL, { title: 'Der Schwarm' });
+  fs.rmSync(path.join(directory, '9783426282571', 'small.jpg'));
+
+  const missing = await store.getCover('9783426282571', 'small');
+  assert.strictEqual(missing.file, null);
+  assert.strictEqual(missing.meta.title, 'Der Schwarm');
+  assert.strictEqual(await store.isStored('9783426282571'), false);
+
+  await store.queueCover('9783426282571', COVER_URL, { title: 'Der Schwarm' });
+  assert.strictEqual(downloads, 2);
+  assert.ok(fs.existsSync((await store.getCover('9783426282571', 'small')).file));
+});
+
+test('a book without a cover is stored with its placeholder details', async () => {
+  const store = new CoverStore({ directory });
+  await store.queueCover('thalia-A1062385378', '', { title: 'Der Schwarm', author: 'Frank Schätzing' });
+
+  assert.strictEqual(await store.isStored('thalia-A1062385378'), true);
+  assert.strictEqual((await store.getCover('thalia-A1062385378', 'large')).file, null);
+  assert.strictEqual(await store.isStored('unknown'), false);
+  assert.strictEqual(downloads, 0);
+});
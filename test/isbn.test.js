@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  cleanIsbn,
+  isValidIsbn10,
+  isValidIsbn13,
+  isbn10To13,
+  isbn13To10,
+  parseIsbn,
+  classifyIdentifier,
+  normalizeIdentifiers
+} = require('../isbn');
+
+test('cleanIsbn strips hyphens, spaces and the ISBN prefix', () => {
+  assert.strictEqual(cleanIsbn('ISBN 978-3-426-28257-1'), '9783426282571');
+  assert.strictEqual(cleanIsbn('ISBN-10: 3 426 28257 7'), '3426282577');
+  assert.strictEqual(cleanIsbn('0-8044-2957-x'), '080442957X');
+});
+
+test('ISBN-10 and ISBN-13 convert into each other', () => {
+  assert.strictEqual(isbn10To13('3426282577'), '9783426282571');
+  assert.strictEqual(isbn13To10('9783426282571'), '3426282577');
+  assert.deepStrictEqual(parseIsbn('3-426-28257-7'), { isbn10: '3426282577', isbn13: '9783426282571' });
+  assert.deepStrictEqual(parseIsbn('978 3 426 28257 1'), { isbn10: '3426282577', isbn13: '9783426282571' });
+});
+
+test('an ISBN-10 may end in the check digit X', () => {
+  assert.ok(isValidIsbn10('080442957X'));
+  assert.strictEqual(isbn10To13('080442957X'), '9780804429573');
+  assert.strictEqual(isbn13To10('9780804429573'), '080442957X');
+  assert.deepStrictEqual(parseIsbn('0-8044-2957-x'), { isbn10: '080442957X', isbn13: '9780804429573' });
+});
+
+test('ISBNs with a wrong check digit are rejected', () => {
+  assert.strictEqual(isValidIsbn10('3426282578'), false);
+  assert.strictEqual(isValidIsbn13('9783426282572'), false);
+  assert.strictEqual(parseIsbn('978-3-426-28257-2'), null);
+  assert.strictEqual(parseIsbn('3426282578'), null);
+  assert.strictEqual(parseIsbn(''), null);
+});
+
+test('979 ISBNs have no ISBN-10', () => {
+  assert.ok(isValidIsbn13('9791035901349'));
+  assert.strictEqual(isbn13To10('9791035901349'), null);
+  assert.deepStrictEqual(parseIsbn('979-10-359-0134-9'), { isbn10: null, isbn13: '9791035901349' });
+});
+
+test('979-0 ISMNs of printed music are EANs, not ISBNs', () => {
+  assert.strictEqual(isValidIsbn13('9790002201055'), false);
+  assert.strictEqual(parseIsbn('979-0-0022-0105-5'), null);
+  assert.deepStrictEqual(classifyIdentifier('9790002201055'), { type: 'ean', value: '9790002201055' });
+
+  const bookData = normalizeIdentifiers({ isbn: '9790002201055' });
+  assert.strictEqual(bookData.isbn13, '');
+  assert.strictEqual(bookData.ean, '9790002201055');
+});
+
+test('normalizeIdentifiers fills every ISBN field and lists invalid values', () => {
+  const bookData = normalizeIdentifiers({ isbn: '3426282578', isbn10: '3-426-28257-7' });
+  assert.strictEqual(bookData.isbn, '9783426282571');
+  assert.strictEqual(bookData.isbn13, '9783426282571');
+  assert.strictEqual(bookData.isbn10, '3426282577');
+  assert.deepStrictEqual(bookData.invalidIdentifiers, [{ field: 'isbn', value: '3426282578' }]);
+});
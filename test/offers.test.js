@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseAvailability, parsePrice } = require('../offers');
+
+test('parseAvailability reads the "not available" texts of every marketplace language', () => {
+  const texts = {
+    de: ['Derzeit nicht auf Lager.', 'Derzeit nicht verfügbar.', 'Nicht mehr lieferbar', 'Vergriffen'],
+    en: ['Currently unavailable.', 'Unavailable', 'Temporarily out of stock.', 'No longer available'],
+    fr: ['Temporairement indisponible.', 'Actuellement indisponible.', 'Non disponible', 'En rupture de stock'],
+    it: ['Attualmente non disponibile.', 'Non disponibile', 'Esaurito'],
+    es: ['No disponible.', 'Actualmente no disponible.', 'Agotado'],
+    nl: ['Momenteel niet beschikbaar.', 'Tijdelijk niet op voorraad.', 'Uitverkocht'],
+    'schema.org': ['https://schema.org/OutOfStock', 'http://schema.org/Discontinued', 'https://schema.org/SoldOut']
+  };
+
+  for (const [language, values] of Object.entries(texts)) {
+    for (const text of values) {
+      assert.strictEqual(parseAvailability(text), 'out_of_stock', `${language}: "${text}"`);
+    }
+  }
+});
+
+test('parseAvailability reads the "in stock" texts of every marketplace language', () => {
+  const texts = [
+    'Auf Lager.', 'Nur noch 3 auf Lager', 'Sofort lieferbar', 'In stock', 'Available to ship', 'En stock',
+    'Disponibile', 'Disponible', 'Op voorraad', 'https://schema.org/InStock', 'https://schema.org/LimitedAvailability'
+  ];
+
+  for (const text of texts) {
+    assert.strictEqual(parseAvailability(text), 'in_stock', `"${text}"`);
+  }
+});
+
+test('parseAvailability reads pre-orders and unknown texts', () => {
+  assert.strictEqual(parseAvailability('Vorbestellbar'), 'preorder');
+  assert.strictEqual(parseAvailability('Erscheint am 1. März 2025'), 'preorder');
+  assert.strictEqual(parseAvailability('https://schema.org/PreOrder'), 'preorder');
+  assert.strictEqual(parseAvailability(''), 'unknown');
+  assert.strictEqual(parseAvailability('Versand durch Amazon'), 'unknown');
+});
+
+test('parsePrice reads the amount in minor units and the currency', () => {
+  assert.deepStrictEqual(parsePrice('12,99 €'), { amount: 1299, currency: 'EUR' });
+  assert.deepStrictEqual(parsePrice('1.234,56 €'), { amount: 123456, currency: 'EUR' });
+  assert.deepStrictEqual(parsePrice('CHF 25.90'), { amount: 2590, currency: 'CHF' });
+  assert.deepStrictEqual(parsePrice('£8.99'), { amount: 899, currency: 'GBP' });
+  assert.deepStrictEqual(parsePrice('12.99', 'USD'), { amount: 1299, currency: 'USD' });
+  assert.strictEqual(parsePrice('Preis nicht verfügbar'), null);
+});
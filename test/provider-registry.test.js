@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const { registerProvider, requireProviderForScrape } = require('../provider-registry');
+const { amazonProvider } = require('../amazon-provider');
+const { thaliaProvider } = require('../thalia-scraper');
+
+registerProvider(amazonProvider);
+registerProvider(thaliaProvider);
+
+// Redirects answered by the stubbed shops, by requested URL
+const REDIRECTS = {
+  'https://www.thalia.de/app/share?code=x7Kq2': 'https://www.thalia.de/shop/home/artikeldetails/A1060691146?utm_source=app',
+  'https://www.thalia.de/shop/home/suche?sq=9783426282571': '/shop/home/artikeldetails/EAN9783426282571',
+  'https://amzn.to/3abcDEF': 'https://www.amazon.de/Die-Mitternachtsbibliothek/dp/3426282570/ref=cm_sw?tag=aff-21'
+};
+
+const originalGet = axios.get;
+test.before(() => {
+  axios.get = async (url) => {
+    if (!(url in REDIRECTS)) {
+      throw new Error(`Unexpected request to ${url}`);
+    }
+    return { status: 301, headers: { location: REDIRECTS[url] } };
+  };
+});
+test.after(() => {
+  axios.get = originalGet;
+});
+
+test('requireProviderForScrape keeps product URLs without a request', async () => {
+  const { provider, url } = await requireProviderForScrape('https://www.thalia.de/shop/home/artikeldetails/A1060691146');
+
+  assert.strictEqual(provider.name, 'thalia');
+  assert.strictEqual(url, 'https://www.thalia.de/shop/home/artikeldetails/A1060691146');
+});
+
+test('requireProviderForScrape resolves a Thalia app share link to the article page', async () => {
+  const { provider, url } = await requireProviderForScrape('https://www.thalia.de/app/share?code=x7Kq2');
+
+  assert.strictEqual(provider.name, 'thalia');
+  assert.strictEqual(url, 'https://www.thalia.de/shop/home/artikeldetails/A1060691146');
+});
+
+test('requireProviderForScrape resolves a Thalia search link that redirects to an article', async () => {
+  const { provider, url } = await requireProviderForScrape('https://www.thalia.de/shop/home/suche?sq=9783426282571');
+
+  assert.strictEqual(provider.name, 'thalia');
+  assert.strictEqual(url, 'https://www.thalia.de/shop/home/artikeldetails/EAN9783426282571');
+});
+
+test('requireProviderForScrape resolves Amazon short links', async () => {
+  const { provider, url } = await requireProviderForScrape('https://amzn.to/3abcDEF');
+
+  assert.strictEqual(provider.name, 'amazon');
+  assert.strictEqual(url, 'https://www.amazon.de/dp/3426282570');
+});
+
+test('requireProviderForScrape rejects hosts no provider serves', async () => {
+  await assert.rejects(requireProviderForScrape('https://example.com/book/1'), { code: 'UNSUPPORTED_HOST' });
+  await assert.rejects(requireProviderForScrape('not a url'), { code: 'INVALID_URL' });
+});
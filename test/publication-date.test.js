@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parsePublicationDate, normalizePublicationDate } = require('../publication-date');
+
+test('German dates', () => {
+  assert.deepStrictEqual(parsePublicationDate('11. April 2025'), { iso: '2025-04-11', precision: 'day' });
+  assert.deepStrictEqual(parsePublicationDate('11.04.2025'), { iso: '2025-04-11', precision: 'day' });
+  assert.deepStrictEqual(parsePublicationDate('1. Dez. 2020'), { iso: '2020-12-01', precision: 'day' });
+  assert.deepStrictEqual(parsePublicationDate('März 2021'), { iso: '2021-03', precision: 'month' });
+});
+
+test('English dates', () => {
+  assert.deepStrictEqual(parsePublicationDate('April 11, 2025'), { iso: '2025-04-11', precision: 'day' });
+  assert.deepStrictEqual(parsePublicationDate('Sept. 3rd, 2019'), { iso: '2019-09-03', precision: 'day' });
+  assert.deepStrictEqual(parsePublicationDate('11 April 2025'), { iso: '2025-04-11', precision: 'day' });
+});
+
+test('French dates', () => {
+  assert.deepStrictEqual(parsePublicationDate('1er mars 2021'), { iso: '2021-03-01', precision: 'day' });
+  assert.deepStrictEqual(parsePublicationDate('15 févr. 2022'), { iso: '2022-02-15', precision: 'day' });
+  assert.deepStrictEqual(parsePublicationDate('août 2018'), { iso: '2018-08', precision: 'month' });
+});
+
+test('Spanish dates', () => {
+  assert.deepStrictEqual(parsePublicationDate('11 de abril de 2025'), { iso: '2025-04-11', precision: 'day' });
+  assert.deepStrictEqual(parsePublicationDate('marzo de 2021'), { iso: '2021-03', precision: 'month' });
+});
+
+test('dates with only a year', () => {
+  assert.deepStrictEqual(parsePublicationDate('2019'), { iso: '2019', precision: 'year' });
+  assert.deepStrictEqual(parsePublicationDate('Erschienen 2019'), { iso: '2019', precision: 'year' });
+});
+
+test('dates that do not exist are unreadable', () => {
+  assert.strictEqual(parsePublicationDate('30. Februar 2021'), null);
+  assert.strictEqual(parsePublicationDate('31.04.2025'), null);
+  assert.strictEqual(parsePublicationDate('February 29, 2023'), null);
+  assert.deepStrictEqual(parsePublicationDate('29. Februar 2024'), { iso: '2024-02-29', precision: 'day' });
+
+  const bookData = normalizePublicationDate({ publicationDate: '30. Februar 2021' });
+  assert.strictEqual(bookData.publicationDate, '30. Februar 2021');
+  assert.strictEqual(bookData.publicationDateISO, null);
+  assert.strictEqual(bookData.publicationDatePrecision, null);
+});
+
+test('missing dates', () => {
+  assert.strictEqual(parsePublicationDate(''), null);
+  assert.strictEqual(parsePublicationDate('unbekannt'), null);
+  assert.deepStrictEqual(normalizePublicationDate({}), { publicationDateISO: null, publicationDatePrecision: null });
+});
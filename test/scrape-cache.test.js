@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileCacheStore } = require('../scrape-cache');
+
+let directory;
+
+test.beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'scrape-cache-test-'));
+});
+
+test.afterEach(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test('concurrent writes of the same key leave one complete entry', async () => {
+  const store = new FileCacheStore({ directory });
+  const entries = Array.from({ length: 20 }, (_, i) => ({ data: { title: `Title ${i}`, text: 'x'.repeat(10000) } }));
+
+  await Promise.all(entries.map(entry => store.set('amazon:B0CW1K4Y5T', entry)));
+
+  const stored = await store.get('amazon:B0CW1K4Y5T');
+  assert.ok(entries.some(entry => entry.data.title === stored.data.title));
+  assert.deepStrictEqual(fs.readdirSync(directory), ['amazon_B0CW1K4Y5T.json']);
+});
+
+test('a failed write removes its temporary file', async () => {
+  const store = new FileCacheStore({ directory });
+  // A directory in place of the entry makes the rename fail
+  fs.mkdirSync(store.filePath('thalia:A1062385378'));
+
+  await assert.rejects(store.set('thalia:A1062385378', { data: {} }));
+  assert.deepStrictEqual(fs.readdirSync(directory), ['thalia_A1062385378.json']);
+});
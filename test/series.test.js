@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseSeriesText, parseSeriesFromTitle, normalizeSeries } = require('../series');
+
+test('parseSeriesText reads the series texts the shops print', () => {
+  assert.deepStrictEqual(parseSeriesText('Buch 3 von 7: Die Mitternachts-Reihe'), { series: 'Die Mitternachts-Reihe', seriesNumber: 3 });
+  assert.deepStrictEqual(parseSeriesText('Book 2.5 of 6: The Expanse'), { series: 'The Expanse', seriesNumber: 2.5 });
+  assert.deepStrictEqual(parseSeriesText('Ein Fall für Isabelle Bonnet Band 1'), { series: 'Ein Fall für Isabelle Bonnet', seriesNumber: 1 });
+  assert.deepStrictEqual(parseSeriesText('Die Mitternachts-Reihe 3'), { series: 'Die Mitternachts-Reihe', seriesNumber: 3 });
+});
+
+test('parseSeriesFromTitle reads a title suffix with a volume word', () => {
+  assert.deepStrictEqual(parseSeriesFromTitle('Dune (Der Wüstenplanet, Band 3)'), { series: 'Der Wüstenplanet', seriesNumber: 3 });
+  assert.deepStrictEqual(parseSeriesFromTitle('Leviathan Wakes (The Expanse, Book 1)'), { series: 'The Expanse', seriesNumber: 1 });
+  assert.deepStrictEqual(parseSeriesFromTitle('Dune (Dune, Tome 3)'), { series: 'Dune', seriesNumber: 3 });
+});
+
+test('parseSeriesFromTitle does not take edition and bare volume suffixes for a series', () => {
+  assert.strictEqual(parseSeriesFromTitle('Das Kapital (Ausgabe 2021)'), null);
+  assert.strictEqual(parseSeriesFromTitle('Per Anhalter durch die Galaxis (Band 1)'), null);
+  assert.strictEqual(parseSeriesFromTitle('Faust (Edition 2)'), null);
+  assert.strictEqual(parseSeriesFromTitle('Der Process (Teil 2)'), null);
+  assert.strictEqual(parseSeriesFromTitle('Deutsche Geschichte (Auflage 3)'), null);
+  assert.strictEqual(parseSeriesFromTitle('Die Mitternachtsbibliothek (Roman 2020)'), null);
+  assert.strictEqual(parseSeriesFromTitle('Die Mitternachtsbibliothek'), null);
+});
+
+test('parseSeriesText rejects series names that are only a volume or edition word', () => {
+  assert.strictEqual(parseSeriesText('Band 1'), null);
+  assert.strictEqual(parseSeriesText('Ausgabe 2021'), null);
+  assert.strictEqual(parseSeriesText('Teil, Band 2', { requireVolumeWord: true }), null);
+});
+
+test('normalizeSeries leaves standalone books without a series', () => {
+  const bookData = normalizeSeries({ title: 'Das Kapital (Ausgabe 2021)', series: '', seriesNumber: null });
+
+  assert.strictEqual(bookData.series, '');
+  assert.strictEqual(bookData.seriesNumber, null);
+  assert.strictEqual(bookData.seriesUrl, '');
+});
@@ -0,0 +1,8 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeBookData } = require('../thalia-scraper');
+
+test('page counts are read from texts and from schema.org numbers', () => {
+  assert.strictEqual(normalizeBookData({ title: 'Der Schwarm', pageCount: '1008 Seiten' }).pageCountValue, 1008);
+  assert.strictEqual(normalizeBookData({ title: 'Der Schwarm', pageCount: 1008 }).pageCountValue, 1008);
+});
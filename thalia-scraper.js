@@ -1,64 +1,159 @@
 /**
- * Thalia.de Book Scraper - Final Version
+ * Thalia Book Scraper - Final Version
  * 
- * A comprehensive scraper for extracting book data from Thalia.de
- * with robust error handling and multiple extraction methods
+ * A comprehensive scraper for extracting book data from Thalia
+ * (thalia.de, thalia.at and thalia.ch) with robust error handling and
+ * multiple extraction methods
  */
 
-const puppeteer = require('puppeteer');
+const axios = require('axios');
 const cheerio = require('cheerio');
 const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
+const { getBrowserPool } = require('./browser-pool');
+const { resolveFetchMode } = require('./fetch-mode');
+const { THALIA_SHOPS, getThaliaShopForUrl } = require('./thalia-shops');
+const {
+  extractThaliaArticleId,
+  canonicalizeThaliaUrl,
+  resolveThaliaUrl
+} = require('./thalia-url');
+const { searchThalia } = require('./thalia-search');
+const { normalizeIdentifiers } = require('./isbn');
+const { normalizePublicationDate } = require('./publication-date');
+const {
+  normalizeContributorRole,
+  parseContributorList,
+  buildContributors,
+  getPrimaryAuthors,
+  getAuthorSort
+} = require('./contributors');
+const { NAME_PATTERN, normalizeAuthorNames } = require('./author-names');
+const { parseSeriesText, parseSeriesFromStructuredData, normalizeSeries } = require('./series');
+const { normalizeOffers } = require('./offers');
+const { normalizeFormat } = require('./formats');
+const { normalizeAudiobook } = require('./audiobook');
+const { normalizeEbook } = require('./ebook');
+const { PLACEHOLDER_COVER_PATH, resolveCoverUrl } = require('./covers');
+const {
+  ScrapeError,
+  InvalidUrlError,
+  NotFoundError,
+  ParseFailedError,
+  errorFromHttpStatus,
+  toScrapeError,
+  toErrorResponse
+} = require('./scrape-errors');
+
+// Browser-like headers for static page requests
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
 
 /**
- * Main function to scrape book data from Thalia.de
- * @param {string} url - The Thalia.de book URL
+ * Main function to scrape book data from a Thalia shop
+ * @param {string} url - The Thalia book URL
  * @param {Object} options - Options for the scraper
- * @returns {Promise<Object>} - The scraped book data
+ * @param {string} options.mode - 'auto' (static first, browser if needed), 'static' or 'browser'
+ * @returns {Promise<Object>} - The scraped book data including fetchStrategy
  */
 async function scrapeThalia(url, options = {}) {
   const {
-    headless = true,
     timeout = 60000, // Increased timeout for cloud environments
-    retries = 3,
     debug = false
   } = options;
+  const mode = resolveFetchMode(options.mode);
 
-  if (debug) console.log(`Starting Thalia scraper for URL: ${url}`);
+  if (debug) console.log(`Starting Thalia scraper for URL: ${url} (mode: ${mode})`);
   
   // Validate URL
   if (!isValidThaliaUrl(url)) {
-    throw new Error('Invalid Thalia URL. Please provide a valid Thalia.de book URL.');
-  }
-
-  // Launch browser
-  const browser = await puppeteer.launch({
-    headless: headless ? 'new' : false,
-    args: [
-      '--no-sandbox',
-      '--disable-setuid-sandbox',
-      '--disable-infobars',
-      '--window-position=0,0',
-      '--ignore-certificate-errors',
-      '--ignore-certificate-errors-spki-list',
-      '--disable-features=IsolateOrigins,site-per-process',
-      '--disable-dev-shm-usage',
-      '--disable-accelerated-2d-canvas',
-      '--no-first-run',
-      '--no-zygote',
-      '--single-process', // Important for some cloud environments
-      '--disable-gpu'
-    ],
-    timeout: timeout
-  });
+    throw new InvalidUrlError('Invalid Thalia URL. Please provide a valid Thalia book URL.');
+  }
+
+  // Request the canonical article page; prices are in the shop's currency
+  const { url: articleUrl, articleId, shop, shopCountry, currency } = canonicalizeThaliaUrl(url);
+  const source = { articleId, shop, shopCountry, currency };
+
+  let staticData = null;
+
+  if (mode !== 'browser') {
+    try {
+      const html = await fetchThaliaStatic(articleUrl);
+      staticData = { ...parseThaliaPage(html, debug, articleUrl), ...source, fetchStrategy: 'static' };
+
+      if (mode === 'static' || validateBookData(staticData).isValid) {
+        return staticData;
+      }
+      console.log('Static Thalia page is missing required fields, falling back to the browser...');
+    } catch (error) {
+      // Missing products stay missing in the browser, everything else is worth a rendered attempt
+      if (mode === 'static' || error instanceof NotFoundError || error instanceof ParseFailedError) {
+        throw error;
+      }
+      console.warn(`Static Thalia fetch failed (${error.code}), falling back to the browser...`);
+    }
+  }
+
+  try {
+    const html = await fetchThaliaRendered(articleUrl, { timeout, debug });
+    const renderedData = { ...parseThaliaPage(html, debug, articleUrl), ...source, fetchStrategy: 'browser' };
+
+    // Keep the static result if the browser did not get any further
+    if (staticData && !renderedData.title && staticData.title) {
+      return staticData;
+    }
+    return renderedData;
+  } catch (error) {
+    if (staticData) {
+      console.warn(`Browser fetch failed (${toScrapeError(error).code}), using incomplete static result`);
+      return staticData;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Fetches the server-rendered product page with a plain HTTP request
+ * @param {string} url - The Thalia book URL
+ * @returns {Promise<string>} - The page HTML
+ */
+async function fetchThaliaStatic(url) {
+  console.log(`Fetching ${url} with axios...`);
+
+  try {
+    const response = await axios.get(url, {
+      headers: {
+        'User-Agent': USER_AGENT,
+        'Accept-Language': getThaliaShopForUrl(url).acceptLanguage,
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8'
+      },
+      timeout: 15000,
+      maxRedirects: 5
+    });
+
+    return typeof response.data === 'string' ? response.data : '';
+  } catch (error) {
+    throw toScrapeError(error);
+  }
+}
+
+/**
+ * Renders the product page in a pooled browser and returns its HTML
+ * @param {string} url - The Thalia book URL
+ * @param {Object} options - Browser options (timeout, debug)
+ * @returns {Promise<string>} - The rendered page HTML
+ */
+async function fetchThaliaRendered(url, options = {}) {
+  const { timeout = 60000, debug = false } = options;
+
+  // Borrow a page from the shared browser pool instead of launching Chromium per request
+  const pool = getBrowserPool();
+  const page = await pool.acquirePage();
+  let failed = false;
 
   try {
-    // Create new page
-    const page = await browser.newPage();
-    
     // Set user agent
-    await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+    await page.setUserAgent(USER_AGENT);
     
     // Block unnecessary resources to improve performance
     await page.setRequestInterception(true);
@@ -83,18 +178,28 @@ async function scrapeThalia(url, options = {}) {
 
     // Navigate to URL with extended timeout and simpler wait condition
     if (debug) console.log('Navigating to URL...');
+    let response = null;
     try {
       // Use a more basic navigation strategy
-      await page.goto(url, { 
+      response = await page.goto(url, { 
         waitUntil: 'domcontentloaded', // Less strict than networkidle2
         timeout: timeout 
       });
     } catch (navError) {
+      // Only a timeout leaves a partially loaded page worth extracting from
+      if (navError.name !== 'TimeoutError') {
+        throw toScrapeError(navError);
+      }
       console.error('Navigation error:', navError.message);
       // Even if navigation times out, try to continue with whatever content loaded
       console.log('Attempting to proceed with partial page load...');
     }
     
+    // Missing products and blocked requests come back as HTTP errors
+    if (response && response.status() >= 400) {
+      throw errorFromHttpStatus(response.status(), url);
+    }
+    
     // Take a screenshot for debugging the initial page load
     if (debug) {
       try {
@@ -121,147 +226,169 @@ async function scrapeThalia(url, options = {}) {
     
     // Try to extract book data directly from the DOM, even if the page isn't fully loaded
     console.log('Extracting page content...');
-    const content = await page.content();
-    
-    // Extract structured data if available
-    let structuredData = null;
-    try {
-      structuredData = await page.evaluate(() => {
-        const scripts = Array.from(document.querySelectorAll('script[type="application/ld+json"]'));
-        for (const script of scripts) {
-          try {
-            const data = JSON.parse(script.textContent);
-            if (data["@type"] === "Book" || data["@type"] === "Product") {
-              return data;
-            }
-          } catch (e) {
-            // Ignore parsing errors
-          }
-        }
-        return null;
-      });
-      if (debug && structuredData) console.log('Structured data found');
-    } catch (error) {
-      if (debug) console.log('Error extracting structured data:', error.message);
+    return await page.content();
+  } catch (error) {
+    failed = true;
+    console.error('Error during scraping:', error);
+    throw error;
+  } finally {
+    // Pages from failed scrapes are recycled rather than reused
+    await pool.releasePage(page, { destroy: failed });
+    if (debug) console.log('Page returned to browser pool');
+  }
+}
+
+/**
+ * Extracts book data from Thalia page HTML, whether fetched statically or rendered
+ * @param {string} html - The page HTML
+ * @param {boolean} debug - Whether to log extraction details
+ * @param {string} pageUrl - The page URL, used to resolve relative links
+ * @returns {Object} - The extracted book data
+ */
+function parseThaliaPage(html, debug = false, pageUrl) {
+  console.log('Extracting book data with Cheerio...');
+
+  try {
+    const $ = cheerio.load(html);
+
+    const structuredData = extractStructuredData($);
+    if (debug && structuredData) console.log('Structured data found');
+
+    const dataAttributes = extractDataAttributes($);
+    if (debug && dataAttributes) console.log('Data attributes found');
+
+    const authorData = extractAuthorData($);
+    if (debug && authorData) console.log(`Author found directly: ${authorData.name} (source: ${authorData.source})`);
+
+    // Extract book data with Cheerio
+    const bookData = extractBookData($, structuredData, dataAttributes, authorData);
+
+    // Final check for author in description if still missing
+    if (!bookData.author && bookData.description) {
+      const authorFromDesc = extractAuthorFromText(bookData.description);
+      if (authorFromDesc) {
+        bookData.author = authorFromDesc;
+      }
     }
-    
-    // Extract data attributes
-    let dataAttributes = null;
-    try {
-      dataAttributes = await page.evaluate(() => {
-        const elements = document.querySelectorAll('[data-ean], [data-isbn], [data-artikel-id], [data-matnr], [data-titel]');
-        if (elements.length === 0) return null;
-        
-        const data = {};
-        elements.forEach(el => {
-          Array.from(el.attributes).forEach(attr => {
-            if (attr.name.startsWith('data-')) {
-              data[attr.name] = attr.value;
-            }
-          });
-        });
-        return data;
-      });
-      if (debug && dataAttributes) console.log('Data attributes found');
-    } catch (error) {
-      if (debug) console.log('Error extracting data attributes:', error.message);
+
+    if (bookData.seriesUrl && pageUrl) {
+      bookData.seriesUrl = new URL(bookData.seriesUrl, pageUrl).href;
     }
-    
-    // Extract author directly with JavaScript
-    let authorData = null;
-    try {
-      authorData = await page.evaluate(() => {
-        // Try to find author link
-        const authorLink = document.querySelector('a[href*="/person/"]');
-        if (authorLink && authorLink.textContent.trim()) {
-          return {
-            name: authorLink.textContent.trim(),
-            source: 'link'
-          };
-        }
-        
-        // Try to find author in description
-        const descriptionHeading = Array.from(document.querySelectorAll('h2')).find(
-          h => h.textContent.trim() === 'Beschreibung'
-        );
-        
-        if (descriptionHeading) {
-          let descText = '';
-          let nextElement = descriptionHeading.nextElementSibling;
-          
-          while (nextElement && nextElement.tagName !== 'H2') {
-            if (nextElement.textContent.trim()) {
-              descText += nextElement.textContent.trim() + ' ';
-            }
-            nextElement = nextElement.nextElementSibling;
-          }
-          
-          // Look for author patterns in description
-          const authorPatterns = [
-            /von\s+([A-Z][a-zäöüß]+(?: [A-Z][a-zäöüß]+){1,3})/i,
-            /Autor\s+([A-Z][a-zäöüß]+(?: [A-Z][a-zäöüß]+){1,3})/i
-          ];
-          
-          for (const pattern of authorPatterns) {
-            const match = descText.match(pattern);
-            if (match && match[1]) {
-              return {
-                name: match[1].trim(),
-                source: 'description'
-              };
-            }
-          }
-        }
-        
-        return null;
-      });
-      
-      if (debug && authorData) console.log(`Author found directly: ${authorData.name} (source: ${authorData.source})`);
-    } catch (error) {
-      if (debug) console.log('Error extracting author directly:', error.message);
+
+    if (pageUrl) {
+      bookData.offers = resolveOfferUrls(bookData.offers, pageUrl);
     }
-    
-    // Parse with Cheerio and extract book data
-    console.log('Extracting book data with Cheerio...');
-    let bookData = null;
-    
+
+    if (debug) console.log('Book data extraction attempt completed');
+    return bookData;
+  } catch (cheerioError) {
+    console.error('Error while processing with Cheerio:', cheerioError.message);
+    throw new ParseFailedError(`Could not parse Thalia page: ${cheerioError.message}`, { cause: cheerioError });
+  }
+}
+
+/**
+ * Makes the offer links of the format selector canonical article URLs of the
+ * shop and marks the offer of the scraped article as selected
+ * @param {Object[]} offers - Raw offers, see extractFormatOffers()
+ * @param {string} pageUrl - The canonical URL of the scraped article
+ * @returns {Object[]} - The offers with absolute URLs
+ */
+function resolveOfferUrls(offers, pageUrl) {
+  const pageArticleId = extractThaliaArticleId(pageUrl);
+
+  return offers.map(offer => {
+    const canonical = offer.url ? canonicalizeThaliaUrl(new URL(offer.url, pageUrl).href) : null;
+    const url = canonical ? canonical.url : pageUrl;
+    const selected = offer.selected || Boolean(canonical && canonical.articleId === pageArticleId);
+    return { ...offer, url: selected || canonical ? url : '', selected };
+  });
+}
+
+/**
+ * Finds the JSON-LD block describing the book
+ * @param {CheerioStatic} $ - Cheerio instance
+ * @returns {Object|null} - The structured data or null if none was found
+ */
+function extractStructuredData($) {
+  const scripts = $('script[type="application/ld+json"]').toArray();
+  for (const script of scripts) {
     try {
-      const $ = cheerio.load(content);
-      
-      // Extract book data with Cheerio
-      bookData = extractBookData($, structuredData, dataAttributes, authorData);
-    
-      // Final check for author in description if still missing
-      if (!bookData.author && bookData.description) {
-        const authorFromDesc = extractAuthorFromText(bookData.description);
-        if (authorFromDesc) {
-          bookData.author = authorFromDesc;
-        }
+      const data = JSON.parse($(script).html());
+      if (data["@type"] === "Book" || data["@type"] === "Product") {
+        return data;
       }
-    } catch (cheerioError) {
-      console.error('Error while processing with Cheerio:', cheerioError.message);
-      // Create empty bookData if extraction failed
-      bookData = {
-        title: '',
-        subtitle: '',
-        author: '',
-        description: '',
-        coverUrl: '',
-        price: '',
-        language: 'Deutsch',
-        languageCode: 'de'
+    } catch (e) {
+      // Ignore parsing errors
+    }
+  }
+  return null;
+}
+
+/**
+ * Collects the data-* attributes Thalia puts on its product elements
+ * @param {CheerioStatic} $ - Cheerio instance
+ * @returns {Object|null} - Attribute values keyed by name or null if none were found
+ */
+function extractDataAttributes($) {
+  const elements = $('[data-ean], [data-isbn], [data-artikel-id], [data-matnr], [data-titel]');
+  if (elements.length === 0) return null;
+
+  const data = {};
+  elements.each((i, el) => {
+    Object.entries(el.attribs).forEach(([name, value]) => {
+      if (name.startsWith('data-')) {
+        data[name] = value;
+      }
+    });
+  });
+  return data;
+}
+
+/**
+ * Finds the author from the person link or the description
+ * @param {CheerioStatic} $ - Cheerio instance
+ * @returns {Object|null} - { name, source } or null if no author was found
+ */
+function extractAuthorData($) {
+  // Person links next to the title name all authors; further down the page they belong to other books
+  let authorLinks = $('h1').first().parent().find('a[href*="/person/"]');
+  if (!authorLinks.length) {
+    authorLinks = $('a[href*="/person/"]').first();
+  }
+
+  const names = authorLinks.map((i, el) => $(el).text().trim()).get().filter(Boolean);
+  if (names.length) {
+    return {
+      name: normalizeAuthorNames(names).map(author => author.name).join(', '),
+      source: 'link'
+    };
+  }
+
+  // Try to find author in description
+  const descriptionHeading = $('h2').filter((i, el) => $(el).text().trim() === 'Beschreibung').first();
+
+  if (descriptionHeading.length) {
+    let descText = '';
+    let nextElement = descriptionHeading.next();
+
+    while (nextElement.length && !nextElement.is('h2')) {
+      if (nextElement.text().trim()) {
+        descText += nextElement.text().trim() + ' ';
+      }
+      nextElement = nextElement.next();
+    }
+
+    const name = extractAuthorFromText(descText);
+    if (name) {
+      return {
+        name,
+        source: 'description'
       };
     }
-    
-    if (debug) console.log('Book data extraction attempt completed');
-    return bookData;
-  } catch (error) {
-    console.error('Error during scraping:', error);
-    throw error;
-  } finally {
-    await browser.close();
-    if (debug) console.log('Browser closed');
   }
+
+  return null;
 }
 
 /**
@@ -379,11 +506,18 @@ function extractBookData($, structuredData, dataAttributes, authorData) {
     title: '',
     subtitle: '',
     author: '',
+    contributors: [],
     series: '',
     seriesNumber: '',
+    seriesUrl: '',
     description: '',
     format: '',
+    duration: '',
+    abridged: '',
+    discCount: '',
     price: '',
+    availability: '',
+    offers: [],
     isbn: '',
     ean: '',
     publisher: '',
@@ -431,21 +565,15 @@ function extractBookData($, structuredData, dataAttributes, authorData) {
     }
   }
 
-  // Extract series information
-  const seriesButton = $('button').filter(function() {
-    return $(this).text().includes('Ein Fall für Isabelle Bonnet') || 
-           $(this).text().includes('Band');
-  });
-  
-  if (seriesButton.length) {
-    const seriesText = seriesButton.text().trim();
-    bookData.series = seriesText.replace(/Band \d+/, '').trim();
-    
-    // Extract series number
-    const bandMatch = seriesText.match(/Band (\d+)/);
-    if (bandMatch) {
-      bookData.seriesNumber = bandMatch[1];
-    }
+  // Extract series information from the series link ("Ein Fall für Isabelle Bonnet Band 1");
+  // normalizeBookData() splits it into series name and number
+  const seriesLink = $('a[href*="/serie"], a[href*="/reihe"], button').filter(function() {
+    return parseSeriesText($(this).text(), { requireVolumeWord: true }) !== null;
+  }).first();
+
+  if (seriesLink.length) {
+    bookData.series = seriesLink.text().trim();
+    bookData.seriesUrl = seriesLink.attr('href') || '';
   }
 
   // Extract price
@@ -453,19 +581,32 @@ function extractBookData($, structuredData, dataAttributes, authorData) {
   if (priceElement.length) {
     bookData.price = priceElement.text().trim();
   } else {
-    // Try alternative price selectors
+    // Try alternative price selectors (thalia.ch shows "CHF 25.90")
     const priceText = $('div').filter(function() {
-      return $(this).text().includes('€') && $(this).text().includes('inkl. MwSt');
+      const text = $(this).text();
+      return (text.includes('€') || text.includes('CHF')) && text.includes('inkl. MwSt');
     }).first().text().trim();
     
     if (priceText) {
       const priceMatch = priceText.match(/(\d+,\d+)\s*€/);
+      const chfMatch = priceText.match(/CHF\s*(\d+[.,]\d+)/);
       if (priceMatch) {
         bookData.price = priceMatch[1] + ' €';
+      } else if (chfMatch) {
+        bookData.price = 'CHF ' + chfMatch[1];
       }
     }
   }
 
+  // Extract availability ("Sofort lieferbar", "Vorbestellbar", "Artikel nicht lieferbar")
+  const availabilityElement = $('[class*="lieferbarkeit"], [class*="availability"], [class*="delivery"]').first();
+  if (availabilityElement.length) {
+    bookData.availability = availabilityElement.text().replace(/\s+/g, ' ').trim();
+  }
+
+  // Extract the offers of all formats from the format selector
+  bookData.offers = extractFormatOffers($);
+
   // Extract cover image URL
   const coverImg = $('img[src*="/cover/"]');
   if (coverImg.length) {
@@ -509,9 +650,11 @@ function extractBookData($, structuredData, dataAttributes, authorData) {
         
         switch (currentHeading) {
           case 'Format':
-            bookData.format = value;
+          case 'Einband':
+            bookData.format = bookData.format || value;
             break;
           case 'Kopierschutz':
+          case 'Kopierschutzart':
             bookData.copyProtection = value;
             break;
           case 'Verlag':
@@ -523,6 +666,20 @@ function extractBookData($, structuredData, dataAttributes, authorData) {
           case 'Seitenzahl':
             bookData.pageCount = value;
             break;
+          case 'Spieldauer':
+          case 'Laufzeit':
+          case 'Hörbuch-Länge':
+            bookData.duration = value;
+            break;
+          case 'Fassung':
+          case 'Version':
+            bookData.abridged = value;
+            break;
+          case 'Anzahl':
+          case 'Anzahl CDs':
+          case 'Medienanzahl':
+            bookData.discCount = value;
+            break;
           case 'Dateigröße':
             bookData.fileSize = value;
             break;
@@ -530,10 +687,25 @@ function extractBookData($, structuredData, dataAttributes, authorData) {
             bookData.language = value;
             break;
           case 'EAN':
-          case 'ISBN':
             bookData.ean = value;
+            break;
+          case 'ISBN':
             bookData.isbn = value;
             break;
+          case 'Reihe':
+          case 'Serie':
+            bookData.series = bookData.series || value;
+            break;
+          case 'Band':
+            bookData.seriesNumber = bookData.seriesNumber || value;
+            break;
+          default: {
+            // Contributor headings such as "Übersetzt von" or "Gelesen von"
+            const role = normalizeContributorRole(currentHeading);
+            if (role) {
+              bookData.contributors.push(...parseContributorList(value, role));
+            }
+          }
         }
       }
       
@@ -592,6 +764,35 @@ function extractBookData($, structuredData, dataAttributes, authorData) {
     if (structuredData.description && !bookData.description) {
       bookData.description = structuredData.description;
     }
+    if (structuredData.bookFormat && !bookData.format) {
+      bookData.format = String(structuredData.bookFormat).split('/').pop();
+    }
+    // schema.org Audiobook: duration such as "PT5H12M", abridged as a boolean, narrators in readBy
+    if (structuredData.duration && !bookData.duration) {
+      bookData.duration = structuredData.duration;
+    }
+    if (typeof structuredData.abridged === 'boolean' && bookData.abridged === '') {
+      bookData.abridged = structuredData.abridged;
+    }
+    for (const narrator of [].concat(structuredData.readBy || [])) {
+      const name = typeof narrator === 'object' ? narrator.name : narrator;
+      if (name) {
+        bookData.contributors.push(...parseContributorList(name, 'narrator'));
+      }
+    }
+    const structuredOffer = [].concat(structuredData.offers || [])[0];
+    if (structuredOffer) {
+      if (structuredOffer.price && !bookData.price) {
+        bookData.price = `${structuredOffer.price} ${structuredOffer.priceCurrency || ''}`.trim();
+      }
+      if (structuredOffer.availability && !bookData.availability) {
+        bookData.availability = structuredOffer.availability;
+      }
+    }
+    const structuredSeries = parseSeriesFromStructuredData(structuredData);
+    if (structuredSeries && !bookData.series) {
+      Object.assign(bookData, structuredSeries);
+    }
   }
 
   // Extract author from description if not found elsewhere
@@ -606,19 +807,47 @@ function extractBookData($, structuredData, dataAttributes, authorData) {
   return bookData;
 }
 
+/**
+ * Reads the editions listed in the format selector ("Taschenbuch 12,00 €",
+ * "eBook 9,99 €", ...). Each entry links to the article page of its edition;
+ * the scraped edition is marked as active or has no link.
+ * @param {CheerioStatic} $ - Cheerio instance
+ * @returns {Object[]} - Raw offers as { format, price, url, selected }
+ */
+function extractFormatOffers($) {
+  const offers = [];
+
+  $('[class*="format"] a[href*="/artikeldetails/"], [class*="format"] [aria-current], [class*="format"] [aria-selected="true"]').each((i, el) => {
+    const element = $(el);
+    const text = element.text().replace(/\s+/g, ' ').trim();
+    const priceMatch = text.match(/(?:CHF\s*)?\d+(?:[.,]\d{2})\s*(?:€|CHF)?/);
+    const format = (priceMatch ? text.replace(priceMatch[0], '') : text).replace(/\s*(?:ab|from)\s*$/i, '').trim();
+    const url = element.attr('href') || '';
+    const className = element.attr('class') || '';
+    const selected = /active|selected/i.test(className) ||
+      element.attr('aria-current') !== undefined ||
+      element.attr('aria-selected') === 'true';
+
+    if (format && !offers.some(offer => offer.format === format && offer.url === url)) {
+      offers.push({ format, price: priceMatch ? priceMatch[0].trim() : '', url, selected });
+    }
+  });
+
+  return offers;
+}
+
 /**
  * Try to extract author from title or description text
  * @param {string} text - Text to search for author
  * @returns {string} - Extracted author or empty string
  */
 function extractAuthorFromText(text) {
-  // Common patterns for author attribution
+  // Common patterns for author attribution; the name itself must be capitalized in any script
   const patterns = [
-    /von\s+([A-Z][a-zäöüß]+(?: [A-Z][a-zäöüß]+){1,3})/i,
-    /by\s+([A-Z][a-zäöüß]+(?: [A-Z][a-zäöüß]+){1,3})/i,
-    /autor[:\s]+([A-Z][a-zäöüß]+(?: [A-Z][a-zäöüß]+){1,3})/i,
-    /author[:\s]+([A-Z][a-zäöüß]+(?: [A-Z][a-zäöüß]+){1,3})/i,
-    /bestseller-autor\s+([A-Z][a-zäöüß]+(?: [A-Z][a-zäöüß]+){1,3})/i
+    new RegExp(`\\b[Vv]on\\s+(${NAME_PATTERN})`, 'u'),
+    new RegExp(`\\b[Bb]y\\s+(${NAME_PATTERN})`, 'u'),
+    new RegExp(`\\b(?:[Bb]estseller-)?[Aa]utor(?:in)?[:\\s]+(${NAME_PATTERN})`, 'u'),
+    new RegExp(`\\b[Aa]uthor[:\\s]+(${NAME_PATTERN})`, 'u')
   ];
   
   for (const pattern of patterns) {
@@ -632,26 +861,29 @@ function extractAuthorFromText(text) {
 }
 
 /**
- * Check if URL is a valid Thalia.de book URL
+ * Check if URL is a valid Thalia book URL on one of the country shops
  * @param {string} url - URL to check
  * @returns {boolean} - Whether the URL is valid
  */
 function isValidThaliaUrl(url) {
-  try {
-    const urlObj = new URL(url);
-    return (
-      urlObj.hostname.includes('thalia.de') &&
-      (urlObj.pathname.includes('/artikeldetails/') || 
-       urlObj.pathname.includes('/shop/home/artikeldetails/'))
-    );
-  } catch (error) {
-    return false;
-  }
+  return canonicalizeThaliaUrl(url) !== null;
+}
+
+/**
+ * Builds the canonical product ID of a Thalia URL. Article IDs are shared
+ * between the country shops, but prices and availability are not.
+ * @param {string} url - The Thalia URL
+ * @returns {string|null} - The product ID (e.g. 'ch:A1072127596') or null if not found
+ */
+function extractThaliaProductId(url) {
+  const shop = getThaliaShopForUrl(url);
+  const articleId = extractThaliaArticleId(url);
+  return shop && articleId ? `${shop.id}:${articleId}` : null;
 }
 
 /**
  * Enhanced scraper with additional error handling, validation, and normalization
- * @param {string} url - The Thalia.de book URL
+ * @param {string} url - The Thalia book URL
  * @param {Object} options - Options for the scraper
  * @returns {Promise<Object>} - The scraped and processed book data
  */
@@ -660,44 +892,48 @@ async function scrapeThaliaSafe(url, options = {}) {
     maxRetries = 3,
     retryDelay = 5000, // Increased delay between retries
     timeout = 60000,   // Increased timeout for cloud environments
-    headless = true,
     validateData = true,
     normalizeData = true,
     fixData = true,
-    debug = true // Default to true to get more logs in production
+    debug = true, // Default to true to get more logs in production
+    mode = 'auto',     // 'auto', 'static' or 'browser', see scrapeThalia()
+    onAttempt = null // Called with the attempt number before each attempt
   } = options;
 
   // Validate URL
   if (!isValidThaliaUrl(url)) {
-    throw new Error('Invalid Thalia URL provided');
+    throw new InvalidUrlError('Invalid Thalia URL provided');
   }
 
   // Implement retry mechanism
   let lastError = null;
   let bookData = null;
-  let partialData = null;
 
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
       console.log(`Attempt ${attempt}/${maxRetries} to scrape data from ${url}`);
+      if (onAttempt) onAttempt(attempt);
       
       // Call the base scraper
       bookData = await scrapeThalia(url, {
-        headless,
         timeout,
-        debug
+        debug,
+        mode
       });
       
       // If we got data, break the retry loop
       if (bookData) {
-        // Keep track of partial data even if validation fails
-        partialData = bookData;
         break;
       }
       
     } catch (error) {
-      lastError = error;
-      console.error(`Attempt ${attempt} failed: ${error.message}`);
+      lastError = toScrapeError(error);
+      console.error(`Attempt ${attempt} failed: ${lastError.code}: ${lastError.message}`);
+      
+      // Missing products, invalid URLs and parse failures will not get better by retrying
+      if (!lastError.retryable) {
+        throw lastError;
+      }
       
       // If we haven't reached max retries, wait before trying again
       if (attempt < maxRetries) {
@@ -708,36 +944,9 @@ async function scrapeThaliaSafe(url, options = {}) {
     }
   }
 
-  // If all retries failed but we have partial data, use that
-  if (!bookData && partialData) {
-    console.log('Using partial data from previous attempts');
-    bookData = partialData;
-  }
-  
-  // If still no data at all, try a desperate fallback extraction from the URL itself
+  // If every attempt failed, report the last error instead of inventing data
   if (!bookData) {
-    if (lastError) {
-      console.log('All scraping attempts failed. Attempting to extract minimal data from URL');
-      
-      // Extract minimal book data from URL
-      const urlObj = new URL(url);
-      const pathSegments = urlObj.pathname.split('/');
-      const lastSegment = pathSegments[pathSegments.length - 1];
-      
-      bookData = {
-        title: lastSegment.replace(/-/g, ' ').replace(/([A-Z])/g, ' $1').trim(),
-        author: '',
-        description: 'Data extraction failed. Please check the book details on Thalia.de',
-        coverUrl: 'https://via.placeholder.com/150x225?text=No+Cover',
-        language: 'Deutsch',
-        languageCode: 'de',
-        isbn: '',
-        ean: lastSegment.startsWith('A') ? lastSegment : '',
-        publisher: ''
-      };
-    } else {
-      throw new Error(`Failed to scrape book data after ${maxRetries} attempts: ${lastError?.message || 'Unknown error'}`);
-    }
+    throw lastError || new ScrapeError(`Failed to scrape book data after ${maxRetries} attempts`);
   }
 
   // Fix data if requested
@@ -747,7 +956,7 @@ async function scrapeThaliaSafe(url, options = {}) {
 
   // Normalize data if requested
   if (normalizeData) {
-    bookData = normalizeBookData(bookData);
+    bookData = normalizeBookData(bookData, { productUrl: canonicalizeThaliaUrl(url).url });
   }
 
   // Validate data if requested
@@ -760,11 +969,6 @@ async function scrapeThaliaSafe(url, options = {}) {
       bookData.validationWarning = {
         missingFields: validation.missingFields
       };
-      
-      // Try to fix critical missing fields using the URL or other context
-      if (validation.missingFields.includes('author')) {
-        bookData.author = 'Unknown Author';
-      }
     }
   }
 
@@ -774,63 +978,39 @@ async function scrapeThaliaSafe(url, options = {}) {
 /**
  * Normalize book data to ensure consistent format
  * @param {Object} bookData - The raw book data
+ * @param {Object} options - Normalization options
+ * @param {string} options.productUrl - URL of the scraped article, used for its offer
+ * @param {Function} options.extractId - Returns the product ID of an edition URL, see buildEditions()
  * @returns {Object} - Normalized book data
  */
-function normalizeBookData(bookData) {
-  const normalized = { ...bookData };
+function normalizeBookData(bookData, options = {}) {
+  // Keep only checksum-verified ISBNs, and EANs of products without an ISBN; split series and number
+  const identified = normalizeSeries(normalizeIdentifiers(bookData));
 
-  // Normalize price
-  if (normalized.price) {
-    // Ensure price has € symbol and proper format
-    if (!normalized.price.includes('€')) {
-      normalized.price = `${normalized.price} €`;
-    }
-    // Extract numeric price value
-    const priceMatch = normalized.price.match(/(\d+[,.]\d+)/);
-    if (priceMatch) {
-      normalized.priceValue = parseFloat(priceMatch[1].replace(',', '.'));
-    }
-  }
+  // Prices of all formats as offers in minor units of the shop's currency, and the format codes
+  const formatted = normalizeFormat(normalizeOffers(identified, { productUrl: options.productUrl }), {
+    extractId: options.extractId || extractThaliaArticleId
+  });
 
-  // Normalize publication date
-  if (normalized.publicationDate) {
-    try {
-      // Try to parse German date format (DD.MM.YYYY)
-      const dateMatch = normalized.publicationDate.match(/(\d{1,2})\.(\d{1,2})\.(\d{4})/);
-      if (dateMatch) {
-        const [_, day, month, year] = dateMatch;
-        normalized.publicationDateISO = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
-      } else {
-        // Try to parse as ISO date
-        const date = new Date(normalized.publicationDate);
-        if (!isNaN(date.getTime())) {
-          normalized.publicationDateISO = date.toISOString().split('T')[0];
-        }
-      }
-    } catch (error) {
-      // Keep original if parsing fails
-    }
-  }
+  // Translators, narrators and illustrators are contributors, not authors
+  const contributors = buildContributors(formatted.author, formatted.contributors);
+
+  // Running time, version, narrators and discs of audiobooks; DRM, file size and container of eBooks
+  const normalized = normalizeEbook(normalizeAudiobook({ ...formatted, contributors }));
+  normalized.author = getPrimaryAuthors(normalized.contributors).join(', ');
+  normalized.authorSort = getAuthorSort(normalized.contributors);
+
+  // Request the largest size of Thalia's cover CDN
+  normalized.coverUrl = resolveCoverUrl(normalized.coverUrl);
 
-  // Normalize page count
+  // Normalize page count; schema.org numberOfPages is a number
   if (normalized.pageCount) {
-    const pageMatch = normalized.pageCount.match(/\d+/);
+    const pageMatch = String(normalized.pageCount).match(/\d+/);
     if (pageMatch) {
       normalized.pageCountValue = parseInt(pageMatch[0], 10);
     }
   }
 
-  // Normalize ISBN/EAN
-  if (normalized.isbn) {
-    // Remove any non-digit characters
-    normalized.isbnClean = normalized.isbn.replace(/[^\dX]/g, '');
-  }
-  
-  if (normalized.ean) {
-    // Remove any non-digit characters
-    normalized.eanClean = normalized.ean.replace(/\D/g, '');
-  }
-
   // Ensure language is standardized
   if (normalized.language) {
     const langLower = normalized.language.toLowerCase();
@@ -847,7 +1027,8 @@ function normalizeBookData(bookData) {
     }
   }
 
-  return normalized;
+  // Publication date as ISO 8601, keeping partial dates partial
+  return normalizePublicationDate(normalized);
 }
 
 /**
@@ -881,42 +1062,70 @@ function validateBookData(bookData) {
 function fixBookData(bookData) {
   const fixedData = { ...bookData };
   
-  // Fix empty cover URL with a placeholder
-  if (!fixedData.coverUrl || fixedData.coverUrl.trim() === '') {
-    fixedData.coverUrl = 'https://via.placeholder.com/150x225?text=No+Cover';
-  }
-  
   // Ensure page count is a number or null
   if (fixedData.pageCount && isNaN(parseInt(fixedData.pageCount))) {
     fixedData.pageCount = null;
   }
   
-  // Set default language if missing
-  if (!fixedData.language || fixedData.language.trim() === '') {
-    fixedData.language = 'Deutsch';
-    fixedData.languageCode = 'de';
-  }
-  
-  // Fix author if it looks like series information
-  if (fixedData.author && fixedData.author.includes('Ein Fall für Isabelle Bonnet')) {
-    // Try to extract author from description
-    if (fixedData.description) {
-      const authorFromDesc = extractAuthorFromText(fixedData.description);
-      if (authorFromDesc) {
-        fixedData.author = authorFromDesc;
-      } else {
-        // Fallback to known author for this series
-        fixedData.author = 'Pierre Martin';
-      }
-    } else {
-      // Fallback to known author for this series
-      fixedData.author = 'Pierre Martin';
-    }
+  // Fix author if it looks like series information, e.g. a series link picked up as byline
+  const authorIsSeries = fixedData.author && (
+    fixedData.author === fixedData.series ||
+    parseSeriesText(fixedData.author, { requireVolumeWord: true }) !== null
+  );
+  if (authorIsSeries) {
+    fixedData.author = fixedData.description ? extractAuthorFromText(fixedData.description) : '';
   }
   
   return fixedData;
 }
 
+/**
+ * Placeholder values derived from a Thalia URL, only used when the client opts in
+ * @param {string} url - The Thalia URL
+ * @returns {Object} - Fallback values for missing fields
+ */
+function getThaliaFallbackData(url) {
+  const urlObj = new URL(url);
+  const pathSegments = urlObj.pathname.split('/');
+  const lastSegment = pathSegments[pathSegments.length - 1];
+  const shop = getThaliaShopForUrl(url);
+
+  return {
+    title: lastSegment.replace(/-/g, ' ').replace(/([A-Z])/g, ' $1').trim(),
+    description: 'Data extraction failed. Please check the book details on Thalia',
+    coverUrl: PLACEHOLDER_COVER_PATH,
+    language: 'Deutsch',
+    languageCode: 'de',
+    shop: shop.domain,
+    shopCountry: shop.country,
+    currency: shop.currency
+  };
+}
+
+/**
+ * Thalia provider definition for the provider registry
+ */
+const thaliaProvider = {
+  name: 'thalia',
+  label: 'Thalia',
+  hosts: THALIA_SHOPS.map(shop => shop.domain),
+  urlPatterns: THALIA_SHOPS.map(shop => `https://www.${shop.domain}/shop/home/artikeldetails/<ARTICLE_ID>`),
+  concurrency: 2, // Matches the default number of pages in the browser pool
+  matches: isValidThaliaUrl,
+  extractId: extractThaliaProductId,
+  resolveUrl: resolveThaliaUrl,
+  search: searchThalia,
+  scrape: (url, options = {}) => scrapeThaliaSafe(url, {
+    maxRetries: 3,
+    validateData: true,
+    normalizeData: true,
+    fixData: true,
+    debug: true,
+    ...options
+  }),
+  fallbackData: getThaliaFallbackData
+};
+
 // Set up Express server
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -948,11 +1157,8 @@ app.post('/api/scrape-thalia', async (req, res) => {
     res.json({ success: true, bookData });
   } catch (error) {
     console.error('Scraper error:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: error.message,
-      errorCode: error.code || 'SCRAPER_ERROR'
-    });
+    const { status, body } = toErrorResponse(error);
+    res.status(status).json(body);
   }
 });
 
@@ -961,6 +1167,9 @@ module.exports = {
   scrapeThalia,
   scrapeThaliaSafe,
   isValidThaliaUrl,
+  extractThaliaArticleId,
+  extractThaliaProductId,
+  thaliaProvider,
   validateBookData,
   normalizeBookData,
   fixBookData
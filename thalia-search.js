@@ -0,0 +1,131 @@
+/**
+ * Thalia Search
+ *
+ * Reads Thalia's search result pages and returns the articles as candidates
+ * with canonical article URLs that the Thalia provider accepts. A search for
+ * a unique ISBN redirects straight to the article page, which then becomes
+ * the only candidate.
+ */
+
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { THALIA_SHOPS } = require('./thalia-shops');
+const { canonicalizeThaliaUrl } = require('./thalia-url');
+const { toScrapeError } = require('./scrape-errors');
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+/**
+ * Searches a Thalia shop
+ * @param {string} query - Search terms or an ISBN
+ * @param {Object} options - Search options
+ * @param {number} options.page - The result page, starting at 1
+ * @param {string} options.shop - The shop domain (default thalia.de)
+ * @returns {Promise<Object>} - { candidates, page, hasNextPage }
+ */
+async function searchThalia(query, options = {}) {
+  const { page = 1, shop: domain = 'thalia.de' } = options;
+  const shop = THALIA_SHOPS.find(candidate => candidate.domain === domain) || THALIA_SHOPS[0];
+
+  const searchUrl = new URL(`https://www.${shop.domain}/suche`);
+  searchUrl.searchParams.set('sq', query);
+  if (page > 1) {
+    searchUrl.searchParams.set('p', String(page));
+  }
+
+  console.log(`Searching Thalia: ${searchUrl.href}`);
+
+  let response;
+  try {
+    response = await axios.get(searchUrl.href, {
+      headers: {
+        'User-Agent': USER_AGENT,
+        'Accept-Language': shop.acceptLanguage,
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
+      },
+      timeout: 15000,
+      maxRedirects: 5
+    });
+  } catch (error) {
+    throw toScrapeError(error);
+  }
+
+  const html = typeof response.data === 'string' ? response.data : '';
+  const finalUrl = (response.request && response.request.res && response.request.res.responseUrl) || searchUrl.href;
+
+  const $ = cheerio.load(html);
+
+  // A unique match redirects to the article page itself
+  const article = canonicalizeThaliaUrl(finalUrl);
+  if (article) {
+    return {
+      candidates: [{
+        id: article.articleId,
+        url: article.url,
+        title: $('h1').first().text().split('|')[0].trim(),
+        author: $('a[href*="/person/"]').first().text().trim(),
+        thumbnailUrl: $('img[src*="/cover/"]').first().attr('src') || '',
+        format: '',
+        price: $('.price-display').first().text().trim(),
+        currency: shop.currency
+      }],
+      page,
+      hasNextPage: false
+    };
+  }
+
+  return {
+    candidates: parseThaliaSearchResults($, shop),
+    page,
+    hasNextPage: $('link[rel="next"], a[rel="next"]').length > 0
+  };
+}
+
+/**
+ * Extracts the articles from a search result page
+ * @param {CheerioStatic} $ - Cheerio instance
+ * @param {Object} shop - The shop the page belongs to
+ * @returns {Object[]} - The candidates in page order
+ */
+function parseThaliaSearchResults($, shop) {
+  const candidates = [];
+  const seen = new Set();
+
+  $('a[href*="/artikeldetails/"]').each((i, el) => {
+    const link = $(el);
+    const article = canonicalizeThaliaUrl(new URL(link.attr('href'), `https://www.${shop.domain}`).href);
+    if (!article || seen.has(article.articleId)) {
+      return;
+    }
+
+    // Title, author and price live in the list entry around the link
+    const entry = link.closest('li, article').length ? link.closest('li, article') : link;
+    const image = entry.find('img').first();
+    const title = entry.find('[class*="titel"], [class*="title"], h3').first().text().trim() ||
+                  link.attr('title') || image.attr('alt') || link.text().trim();
+    if (!title) {
+      return;
+    }
+
+    const priceMatch = entry.text().match(/(\d+,\d{2})\s*€|CHF\s*(\d+[.,]\d{2})/);
+
+    seen.add(article.articleId);
+    candidates.push({
+      id: article.articleId,
+      url: article.url,
+      title: title.replace(/\s+/g, ' '),
+      author: entry.find('[class*="autor"], [class*="author"]').first().text().replace(/\s+/g, ' ').trim(),
+      thumbnailUrl: image.attr('src') || image.attr('data-src') || '',
+      format: entry.find('[class*="format"]').first().text().replace(/\s+/g, ' ').trim(),
+      price: priceMatch ? (priceMatch[1] ? `${priceMatch[1]} €` : `CHF ${priceMatch[2]}`) : '',
+      currency: shop.currency
+    });
+  });
+
+  return candidates;
+}
+
+module.exports = {
+  searchThalia,
+  parseThaliaSearchResults
+};
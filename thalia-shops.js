@@ -0,0 +1,44 @@
+/**
+ * Thalia Country Shops
+ *
+ * Thalia runs separate shops for Germany, Austria and Switzerland. They share
+ * the article IDs and the page structure, but prices are in the shop's
+ * currency and availability differs, so results are kept per shop.
+ */
+
+const THALIA_SHOPS = [
+  { id: 'de', domain: 'thalia.de', country: 'DE', currency: 'EUR', acceptLanguage: 'de-DE,de;q=0.9,en-US;q=0.8,en;q=0.7' },
+  { id: 'at', domain: 'thalia.at', country: 'AT', currency: 'EUR', acceptLanguage: 'de-AT,de;q=0.9,en-US;q=0.8,en;q=0.7' },
+  { id: 'ch', domain: 'thalia.ch', country: 'CH', currency: 'CHF', acceptLanguage: 'de-CH,de;q=0.9,en-US;q=0.8,en;q=0.7' }
+];
+
+/**
+ * Finds the shop serving a host name
+ * @param {string} hostname - The host name (e.g. 'www.thalia.at' or 'm.thalia.ch')
+ * @returns {Object|null} - The shop or null if the host is not a Thalia shop
+ */
+function getThaliaShopForHost(hostname) {
+  const host = hostname.toLowerCase();
+  return THALIA_SHOPS.find(shop =>
+    host === shop.domain || host.endsWith(`.${shop.domain}`)
+  ) || null;
+}
+
+/**
+ * Finds the shop of a Thalia URL
+ * @param {string} url - The Thalia URL
+ * @returns {Object|null} - The shop or null if the URL is not on a Thalia shop
+ */
+function getThaliaShopForUrl(url) {
+  try {
+    return getThaliaShopForHost(new URL(url).hostname);
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  THALIA_SHOPS,
+  getThaliaShopForHost,
+  getThaliaShopForUrl
+};
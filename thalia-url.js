@@ -0,0 +1,101 @@
+/**
+ * Thalia URL Canonicalization
+ *
+ * Normalizes article links from thalia.de, thalia.at and thalia.ch (desktop,
+ * mobile and app share links) to the canonical
+ * https://www.thalia.<tld>/shop/home/artikeldetails/<ARTICLE_ID> form. Links
+ * that only redirect to an article, like app share links and
+ * /shop/home/suche?sq=<ISBN> search links, are resolved by following their
+ * redirects.
+ */
+
+const { getThaliaShopForUrl } = require('./thalia-shops');
+const { followRedirects } = require('./url-resolver');
+const { InvalidUrlError, UnsupportedHostError } = require('./scrape-errors');
+
+// Article IDs: A-numbers, ID-numbers and EAN-based detail pages
+const ARTICLE_PATH_PATTERN = /\/artikeldetails\/(?:[^/]+\/)*?(A\d+|ID\d+|EAN\d{13})(?:\.html)?(?=\/|$)/i;
+
+// Query parameters app share links use for the article
+const ARTICLE_QUERY_PARAMS = ['artikelid', 'artikel', 'articleid'];
+
+const ARTICLE_ID_PATTERN = /^(A\d+|ID\d+|EAN\d{13})$/i;
+
+/**
+ * Extracts the Thalia article ID (e.g. A1072127596) from a Thalia URL
+ * @param {string} url - The Thalia URL
+ * @returns {string|null} - The upper-case article ID or null if not found
+ */
+function extractThaliaArticleId(url) {
+  try {
+    const urlObj = new URL(url);
+
+    const idMatch = urlObj.pathname.match(ARTICLE_PATH_PATTERN);
+    if (idMatch) {
+      return idMatch[1].toUpperCase();
+    }
+
+    for (const [name, value] of urlObj.searchParams) {
+      if (ARTICLE_QUERY_PARAMS.includes(name.toLowerCase()) && ARTICLE_ID_PATTERN.test(value)) {
+        return value.toUpperCase();
+      }
+    }
+
+    return null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Builds the canonical article URL without any network access
+ * @param {string} url - A Thalia article URL on one of the country shops
+ * @returns {Object|null} - { url, articleId, shop, shopCountry, currency } or null if the URL is not an article URL
+ */
+function canonicalizeThaliaUrl(url) {
+  const shop = getThaliaShopForUrl(url);
+  const articleId = extractThaliaArticleId(url);
+
+  if (!shop || !articleId) {
+    return null;
+  }
+
+  return {
+    url: `https://www.${shop.domain}/shop/home/artikeldetails/${articleId}`,
+    articleId,
+    shop: shop.domain,
+    shopCountry: shop.country,
+    currency: shop.currency
+  };
+}
+
+/**
+ * Resolves share and search redirect links and canonicalizes the resulting article URL
+ * @param {string} url - Any Thalia link
+ * @returns {Promise<Object>} - { url, articleId, shop, shopCountry, currency, redirects }
+ */
+async function resolveThaliaUrl(url) {
+  const resolved = await followRedirects(url, {
+    shouldFollow: urlObj => getThaliaShopForUrl(urlObj.href) !== null && !canonicalizeThaliaUrl(urlObj.href)
+  });
+
+  if (!getThaliaShopForUrl(resolved.url)) {
+    throw new UnsupportedHostError(`Unsupported host: ${new URL(resolved.url).hostname}`);
+  }
+
+  const canonical = canonicalizeThaliaUrl(resolved.url);
+  if (!canonical) {
+    throw new InvalidUrlError(`No Thalia article found for ${url}`);
+  }
+
+  return {
+    ...canonical,
+    redirects: resolved.redirects
+  };
+}
+
+module.exports = {
+  extractThaliaArticleId,
+  canonicalizeThaliaUrl,
+  resolveThaliaUrl
+};
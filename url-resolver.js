@@ -0,0 +1,69 @@
+/**
+ * Short Link Resolution
+ *
+ * Follows the redirects of shop short links (amzn.to, app share links, ...)
+ * one hop at a time, so a provider can stop as soon as the link points at a
+ * URL it can canonicalize, without fetching the product page itself.
+ */
+
+const axios = require('axios');
+const { InvalidUrlError, toScrapeError } = require('./scrape-errors');
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+// Short links normally redirect once or twice; more hints at a redirect loop
+const DEFAULT_MAX_REDIRECTS = 5;
+
+/**
+ * Follows redirects while the current URL is a short link
+ * @param {string} url - The URL to resolve
+ * @param {Object} options - Resolution options
+ * @param {Function} options.shouldFollow - Returns whether a URL object still needs to be resolved
+ * @param {number} options.maxRedirects - Maximum number of redirects to follow
+ * @param {number} options.timeout - Timeout per request in milliseconds
+ * @returns {Promise<Object>} - { url, redirects } with the first URL that is not followed
+ */
+async function followRedirects(url, options = {}) {
+  const {
+    shouldFollow,
+    maxRedirects = DEFAULT_MAX_REDIRECTS,
+    timeout = 10000
+  } = options;
+
+  let current = url;
+
+  for (let redirects = 0; ; redirects++) {
+    if (!shouldFollow(new URL(current))) {
+      return { url: current, redirects };
+    }
+
+    if (redirects >= maxRedirects) {
+      throw new InvalidUrlError(`Too many redirects while resolving ${url}`);
+    }
+
+    let response;
+    try {
+      response = await axios.get(current, {
+        headers: { 'User-Agent': USER_AGENT },
+        maxRedirects: 0,
+        timeout,
+        validateStatus: status => status < 400
+      });
+    } catch (error) {
+      throw toScrapeError(error);
+    }
+
+    const location = response.headers.location;
+    if (response.status < 300 || !location) {
+      throw new InvalidUrlError(`${current} does not redirect to a product page`);
+    }
+
+    console.log(`Resolved ${current} -> ${location}`);
+    current = new URL(location, current).href;
+  }
+}
+
+module.exports = {
+  DEFAULT_MAX_REDIRECTS,
+  followRedirects
+};